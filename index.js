@@ -2,6 +2,12 @@ require("dotenv").config();
 
 const app = require("./src/app");
 const connectDB = require("./src/config/db");
+const { runMigrations } = require("./src/services/migrationService");
+const { startHoldSweeper } = require("./src/services/seatService");
+const { promoteWaitlist } = require("./src/services/waitlistService");
+const { startRejectionSweeper } = require("./src/services/paymentReviewService");
+const { startOutboxWorker } = require("./src/services/outboxService");
+const { SEAT_HOLD_SWEEP_INTERVAL_MS, OUTBOX_SWEEP_INTERVAL_MS } = require("./src/config/constants");
 
 const PORT = process.env.PORT || 5000;
 const MONGO_URI = process.env.MONGO_URI;
@@ -9,6 +15,12 @@ const MONGO_URI = process.env.MONGO_URI;
 const startServer = async () => {
   try {
     await connectDB(MONGO_URI);
+    await runMigrations();
+    // Seats freed by lapsed holds are offered to the waitlist
+    startHoldSweeper(SEAT_HOLD_SWEEP_INTERVAL_MS, promoteWaitlist);
+    startRejectionSweeper(SEAT_HOLD_SWEEP_INTERVAL_MS);
+    // Retries emails that failed and picks up any left queued by a restart
+    startOutboxWorker(OUTBOX_SWEEP_INTERVAL_MS);
     app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
   } catch (error) {
     console.error("Failed to start server:", error);
@@ -5,6 +5,9 @@ const bodyParser = require("body-parser");
 const adminRoutes = require("./routes/adminRoutes");
 const eventRoutes = require("./routes/eventRoutes");
 const paymentRoutes = require("./routes/paymentRoutes");
+const ticketRoutes = require("./routes/ticketRoutes");
+const couponRoutes = require("./routes/couponRoutes");
+const emailTemplateRoutes = require("./routes/emailTemplateRoutes");
 const {
   router: registrationRouter,
   registerForEvent,
@@ -29,6 +32,9 @@ app.use("/api/registration", registrationRouter);
 app.post("/api/register", registerForEvent);
 app.post("/api/test/create-pending-registration", createTestRegistration);
 app.use("/api/upi", paymentRoutes);
+app.use("/api/tickets", ticketRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/email-templates", emailTemplateRoutes);
 
 module.exports = app;
 
@@ -1,4 +1,42 @@
+const os = require("os");
+const path = require("path");
+
 module.exports = {
   BRAND_FROM_NAME: process.env.EMAIL_FROM_NAME || "Yellowmatics.ai",
+  // Contact details and links offered to attendees in emails
+  BRAND_SUPPORT_EMAIL: process.env.SUPPORT_EMAIL || "events@yellowmatics.ai",
+  BRAND_LINKEDIN_URL: process.env.BRAND_LINKEDIN_URL || "https://www.linkedin.com/company/yellowmatics",
+  BRAND_INSTAGRAM_URL: process.env.BRAND_INSTAGRAM_URL || "https://www.instagram.com/yellowmatics.ai/",
+  BRAND_WHATSAPP_URL: process.env.BRAND_WHATSAPP_URL || "https://bit.ly/YMWhatsapp",
+  ADMIN_INVITE_TTL_HOURS: Number(process.env.ADMIN_INVITE_TTL_HOURS) || 72,
+  PASSWORD_RESET_TTL_MINUTES: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+  MIN_PASSWORD_LENGTH: 8,
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || "15m",
+  REFRESH_TOKEN_TTL_DAYS: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  TOTP_ISSUER: process.env.TOTP_ISSUER || "Yellowmatics Events",
+  BACKUP_CODE_COUNT: 10,
+  SEAT_HOLD_TTL_MINUTES: Number(process.env.SEAT_HOLD_TTL_MINUTES) || 15,
+  SEAT_HOLD_SWEEP_INTERVAL_MS: 60 * 1000,
+  // Emails are tried this many times, waiting OUTBOX_RETRY_BASE_SECONDS after the first failure
+  // and twice as long after each one since
+  OUTBOX_MAX_ATTEMPTS: Number(process.env.OUTBOX_MAX_ATTEMPTS) || 6,
+  OUTBOX_RETRY_BASE_SECONDS: Number(process.env.OUTBOX_RETRY_BASE_SECONDS) || 60,
+  // A send is abandoned after OUTBOX_SEND_TIMEOUT_MS. Its email stays locked for twice as long,
+  // so it is never claimed again while the first send could still go through.
+  OUTBOX_SEND_TIMEOUT_MS: 2 * 60 * 1000,
+  OUTBOX_SWEEP_INTERVAL_MS: 30 * 1000,
+  // How emails are sent unless an event picks its own transport (see mailTransports)
+  MAIL_TRANSPORTS: ["gmail", "smtp", "file", "memory"],
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || "gmail",
+  // Where the file transport writes .eml files, and how many messages the memory one keeps
+  MAIL_SINK_DIR: process.env.MAIL_SINK_DIR || path.join(os.tmpdir(), "yellowmatics-mail"),
+  MAIL_SINK_KEEP: Number(process.env.MAIL_SINK_KEEP) || 100,
+  WAITLIST_CLAIM_TTL_HOURS: Number(process.env.WAITLIST_CLAIM_TTL_HOURS) || 24,
+  // Most attendees a single group order can register, the payer included
+  MAX_GROUP_SIZE: Number(process.env.MAX_GROUP_SIZE) || 25,
+  // Largest file a registration form accepts unless the field sets its own limit
+  FORM_FILE_MAX_MB: Number(process.env.FORM_FILE_MAX_MB) || 5,
+  REJECTED_PAYMENT_GRACE_HOURS: Number(process.env.REJECTED_PAYMENT_GRACE_HOURS) || 48,
+  // Screenshots whose 64-bit perceptual hashes differ in at most this many bits count as the same image
+  SCREENSHOT_SIMILARITY_MAX_DISTANCE: Number(process.env.SCREENSHOT_SIMILARITY_MAX_DISTANCE) || 10,
 };
-
@@ -0,0 +1,266 @@
+// Built-in copy for the emails attendees receive. Admins can override each template globally
+// or for a single event (see EmailTemplate); these apply wherever no override exists.
+// Templates use the syntax in utils/template.js, and every value is HTML-escaped.
+
+// Values every template can use
+const COMMON_VARIABLES = [
+  "brand.name",
+  "brand.supportEmail",
+  "brand.linkedinUrl",
+  "brand.instagramUrl",
+  "brand.whatsappUrl",
+  "year",
+  "event.name",
+  "event.date",
+  "event.longDate",
+  "event.description",
+  "event.venue",
+  "event.fee",
+  "event.isPaid",
+];
+
+const REGISTRATION_VARIABLES = [
+  "registration.name",
+  "registration.email",
+  "registration.phone",
+  "registration.ticketId",
+  "registration.tierName",
+  "registration.teamName",
+  "registration.groupSize",
+  "registration.amount",
+  "registration.couponCode",
+  "registration.paymentId",
+  "registration.registrationDate",
+];
+
+const SOCIAL_FOOTER = `
+      <div style="margin-top: 30px; border-top: 1px solid #eee; padding-top: 20px;">
+        <p style="text-align: center; color: #666; font-size: 14px;">Connect with us</p>
+        <div style="text-align: center; margin-bottom: 15px;">
+          <a href="{{brand.linkedinUrl}}" style="text-decoration: none; margin: 0 10px; color: #0077B5;">LinkedIn</a> |
+          <a href="{{brand.instagramUrl}}" style="text-decoration: none; margin: 0 10px; color: #E1306C;">Instagram</a> |
+          <a href="{{brand.whatsappUrl}}" style="text-decoration: none; margin: 0 10px; color: #25D366;">WhatsApp</a>
+        </div>
+        <p style="text-align: center; color: #666; font-size: 12px;">© {{year}} {{brand.name}}. All rights reserved.</p>
+      </div>`;
+
+const detailRow = (label, value) => `
+          <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>${label}</strong></td>
+            <td style="padding: 10px; border-bottom: 1px solid #eee;">${value}</td>
+          </tr>`;
+
+const optionalRow = (name, label, value) => `{{#${name}}}${detailRow(label, value)}{{/${name}}}`;
+
+// The registration summary shared by the payment emails; `status` is the last row's markup.
+// While a payment is pending, captains also see their team's join code and payers the size
+// of their group.
+const registrationDetails = (status, { pending = false } = {}) => `
+      <div style="background-color: #f9f9f9; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #17a2b8;">
+        <h2 style="color: #333; margin-top: 0; margin-bottom: 15px;">🎟️ Your Registration Details</h2>
+        <table style="width: 100%; border-collapse: collapse;">
+          <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #eee; width: 40%;"><strong>👤 Name:</strong></td>
+            <td style="padding: 10px; border-bottom: 1px solid #eee;">{{registration.name}}</td>
+          </tr>
+          <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>🎫 Ticket ID:</strong></td>
+            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold; color: #17a2b8;">#{{registration.ticketId}}</td>
+          </tr>${optionalRow("registration.tierName", "🏷️ Ticket Type:", "{{registration.tierName}}")}${optionalRow(
+  "registration.teamName",
+  "👥 Team:",
+  pending
+    ? "{{registration.teamName}}{{#joinCode}} (teammates join with code <strong>{{joinCode}}</strong>){{/joinCode}}"
+    : "{{registration.teamName}}"
+)}${
+  pending
+    ? optionalRow(
+        "registration.groupSize",
+        "👥 Group:",
+        "{{registration.groupSize}} attendees. Each will get their own ticket by email once your payment is verified."
+      )
+    : ""
+}${detailRow("📧 Email:", "{{registration.email}}")}${detailRow(
+  "📱 Phone:",
+  "{{registration.phone}}{{^registration.phone}}Not provided{{/registration.phone}}"
+)}${detailRow("📌 Event:", "{{event.name}}")}${detailRow("📅 Event Date:", "{{event.longDate}}")}${detailRow(
+  "📍 Venue:",
+  "{{event.venue}}"
+)}${detailRow(
+  "💰 Fee:",
+  "₹{{registration.amount}}{{#registration.couponCode}} (coupon {{registration.couponCode}}){{/registration.couponCode}}"
+)}${detailRow("💳 Payment Reference:", "{{registration.paymentId}}")}${detailRow(
+  "📆 Registration Date:",
+  "{{registration.registrationDate}}"
+)}${detailRow("🔄 Status:", status)}
+        </table>
+      </div>`;
+
+const DEFAULT_EMAIL_TEMPLATES = {
+  registration_confirmed: {
+    description: "Ticket for a free registration, or a paid one fully covered by a coupon",
+    variables: [...REGISTRATION_VARIABLES, "joinCode", "links.cancel"],
+    subject: "Registration Confirmed - {{event.name}} | Ticket #{{registration.ticketId}}",
+    html: `
+        <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: auto;">
+          <h2 style="text-align: center; color: #007bff;">🎉 Congratulations, {{registration.name}}! You're Registered! 🎟</h2>
+          <p>Dear <strong>{{registration.name}}</strong>,</p>
+          <p>We’re thrilled to confirm your registration for <strong>{{event.name}}</strong>! Get ready for an amazing experience.</p>
+          <h3>📅 Event Details:</h3>
+          <ul>
+            <li><strong>🎫 Ticket ID:</strong> #{{registration.ticketId}}</li>
+            {{#registration.tierName}}<li><strong>🏷️ Ticket Type:</strong> {{registration.tierName}}</li>{{/registration.tierName}}
+            {{#registration.teamName}}<li><strong>👥 Team:</strong> {{registration.teamName}}{{#joinCode}} (teammates join with code <strong>{{joinCode}}</strong>){{/joinCode}}</li>{{/registration.teamName}}
+            <li><strong>📌 Event Name:</strong> {{event.name}}</li>
+            <li><strong>📅 Date:</strong> {{event.date}}</li>
+            <li><strong>📝 Description:</strong> {{event.description}}</li>
+            <li><strong>📍 Venue:</strong> {{event.venue}}</li>
+            {{#event.isPaid}}<li><strong>💰 Fee:</strong> ₹{{registration.amount}}{{#registration.couponCode}} (coupon {{registration.couponCode}}){{/registration.couponCode}}</li>{{/event.isPaid}}
+          </ul>
+          <p>Attached below is your unique event ticket (QR Code). Please bring it with you for entry.</p>
+          <h3>📌 Stay Connected:</h3>
+          <p>Follow us for updates and behind-the-scenes content:</p>
+          <p>
+            🔗 <a href="{{brand.linkedinUrl}}" target="_blank">LinkedIn</a> |
+            📸 <a href="{{brand.instagramUrl}}" target="_blank">Instagram</a> |
+            💬 <a href="{{brand.whatsappUrl}}" target="_blank">WhatsApp</a>
+          </p>
+          <p>If you have any questions, feel free to reply to this email. We can't wait to see you at the event! 🎊</p>
+          <p style="text-align: center; font-weight: bold;">🚀 See you soon! 🚀</p>
+          <p style="text-align: center; font-size: 12px; color: #666;">Can't make it? <a href="{{links.cancel}}">Cancel your registration</a> so someone else can take your seat.</p>
+        </div>
+      `,
+  },
+
+  registration_cancelled: {
+    description: "Sent when an attendee or an admin cancels a registration",
+    variables: [...REGISTRATION_VARIABLES, "refundRequested"],
+    subject: "Registration Cancelled - {{event.name}} | Ticket #{{registration.ticketId}}",
+    html: `
+    <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: auto;">
+      <h2 style="text-align: center; color: #dc3545;">Registration Cancelled</h2>
+      <p>Dear <strong>{{registration.name}}</strong>,</p>
+      <p>Your registration for <strong>{{event.name}}</strong> (Ticket #{{registration.ticketId}}) has been cancelled and your ticket is no longer valid.</p>
+      {{#refundRequested}}<p>A refund has been requested for your payment (reference {{registration.paymentId}}). Our team will process it and get in touch with you.</p>{{/refundRequested}}
+      <p>If this was a mistake, please reply to this email or contact us at <a href="mailto:{{brand.supportEmail}}">{{brand.supportEmail}}</a>.</p>
+    </div>
+  `,
+  },
+
+  payment_pending: {
+    description: "Acknowledges a UPI payment screenshot while it awaits verification",
+    variables: [...REGISTRATION_VARIABLES, "joinCode", "links.status"],
+    subject: "Payment Verification in Progress - {{event.name}} | Ticket #{{registration.ticketId}}",
+    html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h1 style="color: #FFA500; text-align: center;">🔄 Payment Verification in Progress</h1>
+      <p>Hello {{registration.name}},</p>
+      <p>Thank you for registering for <strong>{{event.name}}</strong>. We have received your payment screenshot and it is currently being verified by our team.</p>
+${registrationDetails('<span style="color: #ffc107; font-weight: bold;">Pending Verification</span>', { pending: true })}
+      <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #ffc107;">
+        <h3 style="color: #856404; margin-top: 0;">⚠️ Important Information</h3>
+        <p style="margin-bottom: 8px;">Your payment is currently being verified by our team. Once verified, you will receive your official ticket with QR code via email.</p>
+        <p style="margin-bottom: 8px;">Please keep your Ticket ID <strong>#{{registration.ticketId}}</strong> handy for any communication regarding your registration.</p>
+        <p style="margin-bottom: 0;">Verification usually takes 1-2 business days. Thank you for your patience.</p>
+      </div>
+      <div style="background-color: #d4edda; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #28a745;">
+        <h3 style="color: #155724; margin-top: 0;">✅ Check Your Registration Status</h3>
+        <p>You can check your registration status anytime using your Ticket ID and email at:</p>
+        <p style="text-align: center;">
+          <a href="{{links.status}}" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">Check Status</a>
+        </p>
+      </div>
+      <p>If you have any questions, feel free to reply to this email or contact our support team at <a href="mailto:{{brand.supportEmail}}">{{brand.supportEmail}}</a>.</p>
+${SOCIAL_FOOTER}
+    </div>
+  `,
+  },
+
+  payment_verified: {
+    description: "Ticket sent once an admin verifies a payment, to the payer and everyone in their group",
+    variables: [...REGISTRATION_VARIABLES],
+    subject: "Your Ticket for {{event.name}} | Ticket #{{registration.ticketId}}",
+    html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+      <h1 style="color: #4CAF50; text-align: center;">🎉 Payment Verified - Registration Confirmed!</h1>
+      <p>Hello {{registration.name}},</p>
+      <p>Great news! Your payment for <strong>{{event.name}}</strong> has been verified and your registration is now confirmed.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <div style="border: 2px dashed #4CAF50; padding: 20px; border-radius: 10px; background-color: #f9f9f9; display: inline-block;">
+          <h2 style="color: #333; margin-top: 0; text-align: center;">🎟️ Your Event Ticket</h2>
+          <div style="text-align: center; margin: 20px 0;">
+            <img src="cid:ticketQR" alt="Event Ticket QR Code" style="max-width: 200px; border: 1px solid #ddd; padding: 10px; background: white;">
+          </div>
+          <p style="text-align: center; font-weight: bold; margin: 5px 0; font-size: 18px;">Ticket ID: #{{registration.ticketId}}</p>
+          <p style="text-align: center; margin: 5px 0;">{{registration.name}}</p>
+        </div>
+      </div>
+${registrationDetails('<span style="color: #4CAF50; font-weight: bold;">Confirmed</span>')}
+      <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #ffc107;">
+        <h3 style="color: #856404; margin-top: 0;">⚠️ Important Information</h3>
+        <ul style="padding-left: 20px;">
+          <li style="margin-bottom: 8px;">Please bring this ticket (QR code) with you to the event for entry.</li>
+          <li style="margin-bottom: 8px;">You can either print this email or show the QR code on your mobile device.</li>
+          <li style="margin-bottom: 8px;">Please arrive at least 15 minutes before the event starts.</li>
+          <li style="margin-bottom: 8px;">This ticket is unique to you and cannot be transferred to others.</li>
+        </ul>
+      </div>
+      <p>If you have any questions, feel free to reply to this email or contact our support team at <a href="mailto:{{brand.supportEmail}}">{{brand.supportEmail}}</a>.</p>
+      <p style="text-align: center; font-weight: bold; font-size: 18px; margin-top: 30px;">🚀 We can't wait to see you at the event! 🚀</p>
+${SOCIAL_FOOTER}
+    </div>
+  `,
+  },
+
+  payment_rejected: {
+    description: "Asks the payer for a new screenshot after an admin rejects their payment",
+    variables: [...REGISTRATION_VARIABLES, "registration.rejectionReason", "seatDeadline", "links.reupload"],
+    subject: "Action Needed: Payment Not Verified - {{event.name}}",
+    html: `
+    <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: auto;">
+      <h2 style="text-align: center; color: #dc3545;">Payment Could Not Be Verified</h2>
+      <p>Dear <strong>{{registration.name}}</strong>,</p>
+      <p>We couldn't verify the payment screenshot you submitted for <strong>{{event.name}}</strong> (payment reference {{registration.paymentId}}).</p>
+      <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #ffc107;">
+        <strong>Reason:</strong> {{registration.rejectionReason}}
+      </div>
+      <p>Please upload a corrected screenshot using the same payment reference:</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="{{links.reupload}}" style="display: inline-block; background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">Upload New Screenshot</a>
+      </p>
+      <p>Your seat is held until <strong>{{seatDeadline}}</strong>. After that it may be given to someone else.</p>
+      <p>If you believe this is a mistake, please reply to this email or contact us at <a href="mailto:{{brand.supportEmail}}">{{brand.supportEmail}}</a>.</p>
+    </div>
+  `,
+  },
+
+  waitlist_offer: {
+    description: "Offers a freed seat to the next person on the waitlist",
+    variables: [
+      "registration.name",
+      "registration.email",
+      "registration.tierName",
+      "registration.amount",
+      "offerExpiresAt",
+      "links.claim",
+    ],
+    subject: "A seat is available - {{event.name}}",
+    html: `
+    <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: auto;">
+      <h2 style="text-align: center; color: #007bff;">🎉 A seat just opened up for {{event.name}}!</h2>
+      <p>Dear <strong>{{registration.name}}</strong>,</p>
+      <p>Good news! A seat has become available for <strong>{{event.name}}</strong> and it's being held for you.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="{{links.claim}}" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">Claim My Seat</a>
+      </p>
+      <p>This offer expires on <strong>{{offerExpiresAt}}</strong>. After that, the seat goes to the next person on the waitlist.</p>
+      {{#event.isPaid}}<p>You'll be asked to complete the payment of ₹{{registration.amount}}{{#registration.tierName}} ({{registration.tierName}} ticket){{/registration.tierName}} when you claim your seat.</p>{{/event.isPaid}}
+    </div>
+  `,
+  },
+};
+
+module.exports = {
+  COMMON_VARIABLES,
+  DEFAULT_EMAIL_TEMPLATES,
+};
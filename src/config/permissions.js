@@ -0,0 +1,63 @@
+const ROLES = {
+  OWNER: "owner",
+  EVENT_MANAGER: "event_manager",
+  PAYMENT_VERIFIER: "payment_verifier",
+  CHECKIN_STAFF: "checkin_staff",
+  VIEWER: "viewer",
+};
+
+const PERMISSIONS = {
+  EVENTS_CREATE: "events:create",
+  EVENTS_UPDATE: "events:update",
+  EVENTS_DELETE: "events:delete",
+  REGISTRATIONS_READ: "registrations:read",
+  REGISTRATIONS_EXPORT: "registrations:export",
+  PAYMENTS_VERIFY: "payments:verify",
+  CHECKIN: "checkin:write",
+  ADMINS_MANAGE: "admins:manage",
+};
+
+// Owners implicitly hold every permission and are never limited to specific events
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ROLES.EVENT_MANAGER]: [
+    PERMISSIONS.EVENTS_CREATE,
+    PERMISSIONS.EVENTS_UPDATE,
+    PERMISSIONS.REGISTRATIONS_READ,
+    PERMISSIONS.REGISTRATIONS_EXPORT,
+    PERMISSIONS.PAYMENTS_VERIFY,
+    PERMISSIONS.CHECKIN,
+  ],
+  [ROLES.PAYMENT_VERIFIER]: [PERMISSIONS.REGISTRATIONS_READ, PERMISSIONS.PAYMENTS_VERIFY],
+  [ROLES.CHECKIN_STAFF]: [PERMISSIONS.REGISTRATIONS_READ, PERMISSIONS.CHECKIN],
+  [ROLES.VIEWER]: [PERMISSIONS.REGISTRATIONS_READ, PERMISSIONS.REGISTRATIONS_EXPORT],
+};
+
+// An admin with an empty `events` list may act on every event
+const canAccessEvent = (admin, eventId) => {
+  if (!admin) return false;
+  if (admin.role === ROLES.OWNER) return true;
+  if (!eventId || !admin.events || admin.events.length === 0) return true;
+  return admin.events.some((id) => id.toString() === eventId.toString());
+};
+
+// IDs of the events a scoped admin is limited to, or null when they may act on every event
+const accessibleEventIds = (admin) => {
+  if (admin.role === ROLES.OWNER || !admin.events || admin.events.length === 0) return null;
+  return admin.events;
+};
+
+const hasPermission = (admin, permission, eventId) => {
+  if (!admin) return false;
+  const permissions = ROLE_PERMISSIONS[admin.role] || [];
+  return permissions.includes(permission) && canAccessEvent(admin, eventId);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  canAccessEvent,
+  accessibleEventIds,
+  hasPermission,
+};
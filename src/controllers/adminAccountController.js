@@ -0,0 +1,437 @@
+const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
+
+const Admin = require("../models/Admin");
+const AdminInvite = require("../models/AdminInvite");
+const { sendEmail } = require("../services/emailService");
+const { buildFromAddress } = require("../utils/email");
+const { generateToken, hashToken } = require("../utils/tokens");
+const { escapeHtml } = require("../utils/template");
+const { ROLES } = require("../config/permissions");
+const { ADMIN_PUBLIC_FIELDS } = require("../middleware/auth");
+const { revokeAllSessions } = require("../services/sessionService");
+const {
+  ADMIN_INVITE_TTL_HOURS,
+  PASSWORD_RESET_TTL_MINUTES,
+  MIN_PASSWORD_LENGTH,
+} = require("../config/constants");
+
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+const passwordError = (password) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+};
+
+const validateAccess = ({ role, events }) => {
+  if (role !== undefined && !Object.values(ROLES).includes(role)) {
+    return `Role must be one of: ${Object.values(ROLES).join(", ")}`;
+  }
+
+  if (events !== undefined && (!Array.isArray(events) || !events.every(mongoose.isValidObjectId))) {
+    return "Events must be an array of event IDs";
+  }
+
+  return null;
+};
+
+// Prevents the system from being left without an active owner
+const isLastActiveOwner = async (admin) => {
+  if (admin.role !== ROLES.OWNER || admin.disabled) return false;
+  const owners = await Admin.countDocuments({ role: ROLES.OWNER, disabled: { $ne: true } });
+  return owners <= 1;
+};
+
+const sendAdminEmail = async (to, subject, html) => {
+  await sendEmail(null, {
+    from: buildFromAddress(process.env.EMAIL_USER),
+    to,
+    subject,
+    html,
+  });
+};
+
+const createInvite = async (req, res) => {
+  const { email, name, role = ROLES.VIEWER, events = [] } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  const accessError = validateAccess({ role, events });
+  if (accessError) {
+    return res.status(400).json({ message: accessError });
+  }
+
+  try {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existingAdmin = await Admin.findOne({ email: normalizedEmail });
+    if (existingAdmin) {
+      return res.status(400).json({ message: "An admin with this email already exists" });
+    }
+
+    // A fresh invite supersedes any outstanding one for the same address
+    await AdminInvite.deleteMany({ email: normalizedEmail, acceptedAt: { $exists: false } });
+
+    const { token, tokenHash } = generateToken();
+    const invite = new AdminInvite({
+      name,
+      email: normalizedEmail,
+      role,
+      events,
+      tokenHash,
+      expiresAt: new Date(Date.now() + ADMIN_INVITE_TTL_HOURS * 60 * 60 * 1000),
+      invitedBy: req.admin._id,
+    });
+    await invite.save();
+
+    const inviteLink = `${process.env.CLIENT_URL}/admin/accept-invite?token=${token}`;
+
+    let emailSent = true;
+    try {
+      await sendAdminEmail(
+        normalizedEmail,
+        "You've been invited to manage Yellowmatics events",
+        `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h2 style="color: #4F46E5;">You're invited!</h2>
+            <p>Hello${name ? ` ${escapeHtml(name)}` : ""},</p>
+            <p>${escapeHtml(req.admin.name || req.admin.email)} has invited you to join the Yellowmatics events admin team.</p>
+            <p style="text-align: center; margin: 30px 0;">
+              <a href="${inviteLink}" style="display: inline-block; background-color: #4F46E5; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">Accept Invite</a>
+            </p>
+            <p>This invite expires in ${ADMIN_INVITE_TTL_HOURS} hours and can only be used once.</p>
+          </div>
+        `
+      );
+    } catch (emailError) {
+      console.error("Error sending admin invite email:", emailError);
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      message: emailSent
+        ? "Invite sent successfully"
+        : "Invite created, but the email could not be sent. Share the invite link manually.",
+      inviteLink,
+      invite: {
+        id: invite._id,
+        email: invite.email,
+        role: invite.role,
+        events: invite.events,
+        expiresAt: invite.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating admin invite:", error);
+    res.status(500).json({ message: "Failed to create invite" });
+  }
+};
+
+const acceptInvite = async (req, res) => {
+  const { token, name, password } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ message: "Invite token is required" });
+  }
+
+  const invalidPassword = passwordError(password);
+  if (invalidPassword) {
+    return res.status(400).json({ message: invalidPassword });
+  }
+
+  try {
+    const invite = await AdminInvite.findOne({
+      tokenHash: hashToken(token),
+      acceptedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (!invite) {
+      return res.status(400).json({ message: "Invite is invalid or has expired" });
+    }
+
+    const existingAdmin = await Admin.findOne({ email: invite.email });
+    if (existingAdmin) {
+      return res.status(400).json({ message: "An admin with this email already exists" });
+    }
+
+    const admin = new Admin({
+      name: name || invite.name,
+      email: invite.email,
+      password: await hashPassword(password),
+      role: invite.role,
+      events: invite.events,
+      invitedBy: invite.invitedBy,
+    });
+    await admin.save();
+
+    invite.acceptedAt = new Date();
+    await invite.save();
+
+    res.status(201).json({ message: "Account created successfully. You can now log in." });
+  } catch (error) {
+    console.error("Error accepting admin invite:", error);
+    res.status(500).json({ message: "Failed to accept invite" });
+  }
+};
+
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword) {
+    return res.status(400).json({ message: "Current password is required" });
+  }
+
+  const invalidPassword = passwordError(newPassword);
+  if (invalidPassword) {
+    return res.status(400).json({ message: invalidPassword });
+  }
+
+  try {
+    const admin = await Admin.findById(req.admin._id);
+    const isMatch = await bcrypt.compare(currentPassword, admin.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    admin.password = await hashPassword(newPassword);
+    admin.passwordChangedAt = new Date();
+    await admin.save();
+
+    // Sign out every other device; the session making this request stays valid
+    await revokeAllSessions(admin._id, "password_changed", req.adminSession._id);
+
+    res.json({ message: "Password changed successfully" });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    res.status(500).json({ message: "Failed to change password" });
+  }
+};
+
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  // Same response whether or not the account exists, so emails can't be enumerated
+  const genericResponse = {
+    message: "If an account exists for this email, a password reset link has been sent.",
+  };
+
+  try {
+    const admin = await Admin.findOne({ email: email.trim().toLowerCase() });
+    if (!admin || admin.disabled) {
+      return res.json(genericResponse);
+    }
+
+    const { token, tokenHash } = generateToken();
+    admin.passwordResetTokenHash = tokenHash;
+    admin.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await admin.save();
+
+    const resetLink = `${process.env.CLIENT_URL}/admin/reset-password?token=${token}`;
+
+    try {
+      await sendAdminEmail(
+        admin.email,
+        "Reset your Yellowmatics admin password",
+        `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h2 style="color: #4F46E5;">Password reset requested</h2>
+            <p>Hello ${escapeHtml(admin.name || "")},</p>
+            <p>We received a request to reset your admin password. Click the button below to choose a new one.</p>
+            <p style="text-align: center; margin: 30px 0;">
+              <a href="${resetLink}" style="display: inline-block; background-color: #4F46E5; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">Reset Password</a>
+            </p>
+            <p>This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you didn't request it, you can ignore this email.</p>
+          </div>
+        `
+      );
+    } catch (emailError) {
+      console.error("Error sending password reset email:", emailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error("Error requesting password reset:", error);
+    res.status(500).json({ message: "Failed to request password reset" });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ message: "Reset token is required" });
+  }
+
+  const invalidPassword = passwordError(password);
+  if (invalidPassword) {
+    return res.status(400).json({ message: invalidPassword });
+  }
+
+  try {
+    const admin = await Admin.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+
+    if (!admin || admin.disabled) {
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+    }
+
+    admin.password = await hashPassword(password);
+    admin.passwordChangedAt = new Date();
+    admin.passwordResetTokenHash = undefined;
+    admin.passwordResetExpires = undefined;
+    await admin.save();
+    await revokeAllSessions(admin._id, "password_reset");
+
+    res.json({ message: "Password reset successfully. You can now log in." });
+  } catch (error) {
+    console.error("Error resetting password:", error);
+    res.status(500).json({ message: "Failed to reset password" });
+  }
+};
+
+const listAdmins = async (req, res) => {
+  try {
+    const admins = await Admin.find().select(ADMIN_PUBLIC_FIELDS).sort({ createdAt: 1 });
+    const pendingInvites = await AdminInvite.find({
+      acceptedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    })
+      .select("-tokenHash")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, admins, pendingInvites });
+  } catch (error) {
+    console.error("Error listing admins:", error);
+    res.status(500).json({ message: "Failed to list admins" });
+  }
+};
+
+const updateAdminAccess = async (req, res) => {
+  const { adminId } = req.params;
+  const { role, events } = req.body;
+
+  if (!mongoose.isValidObjectId(adminId)) {
+    return res.status(400).json({ message: "Invalid admin ID" });
+  }
+
+  const accessError = validateAccess({ role, events });
+  if (accessError) {
+    return res.status(400).json({ message: accessError });
+  }
+
+  try {
+    const admin = await Admin.findById(adminId).select(ADMIN_PUBLIC_FIELDS);
+    if (!admin) {
+      return res.status(404).json({ message: "Admin not found" });
+    }
+
+    if (role !== undefined && role !== ROLES.OWNER && (await isLastActiveOwner(admin))) {
+      return res.status(400).json({ message: "Cannot remove the role of the last active owner" });
+    }
+
+    if (role !== undefined) admin.role = role;
+    if (events !== undefined) admin.events = events;
+    await admin.save();
+
+    res.json({ message: "Admin access updated successfully", admin });
+  } catch (error) {
+    console.error("Error updating admin access:", error);
+    res.status(500).json({ message: "Failed to update admin access" });
+  }
+};
+
+const setAdminStatus = async (req, res) => {
+  const { adminId } = req.params;
+  const { disabled } = req.body;
+
+  if (!mongoose.isValidObjectId(adminId)) {
+    return res.status(400).json({ message: "Invalid admin ID" });
+  }
+
+  if (typeof disabled !== "boolean") {
+    return res.status(400).json({ message: "'disabled' must be true or false" });
+  }
+
+  try {
+    const admin = await Admin.findById(adminId).select(ADMIN_PUBLIC_FIELDS);
+    if (!admin) {
+      return res.status(404).json({ message: "Admin not found" });
+    }
+
+    if (admin._id.equals(req.admin._id)) {
+      return res.status(400).json({ message: "You cannot disable your own account" });
+    }
+
+    if (disabled && (await isLastActiveOwner(admin))) {
+      return res.status(400).json({ message: "Cannot disable the last active owner" });
+    }
+
+    admin.disabled = disabled;
+    await admin.save();
+    if (disabled) {
+      await revokeAllSessions(admin._id, "admin_disabled");
+    }
+
+    res.json({ message: disabled ? "Admin disabled" : "Admin enabled", admin });
+  } catch (error) {
+    console.error("Error updating admin status:", error);
+    res.status(500).json({ message: "Failed to update admin status" });
+  }
+};
+
+const deleteAdmin = async (req, res) => {
+  const { adminId } = req.params;
+
+  if (!mongoose.isValidObjectId(adminId)) {
+    return res.status(400).json({ message: "Invalid admin ID" });
+  }
+
+  try {
+    const admin = await Admin.findById(adminId).select(ADMIN_PUBLIC_FIELDS);
+    if (!admin) {
+      return res.status(404).json({ message: "Admin not found" });
+    }
+
+    if (admin._id.equals(req.admin._id)) {
+      return res.status(400).json({ message: "You cannot delete your own account" });
+    }
+
+    if (await isLastActiveOwner(admin)) {
+      return res.status(400).json({ message: "Cannot delete the last active owner" });
+    }
+
+    await admin.deleteOne();
+    await revokeAllSessions(admin._id, "admin_deleted");
+
+    res.json({ message: "Admin deleted successfully", admin });
+  } catch (error) {
+    console.error("Error deleting admin:", error);
+    res.status(500).json({ message: "Failed to delete admin" });
+  }
+};
+
+module.exports = {
+  createInvite,
+  acceptInvite,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  listAdmins,
+  updateAdminAccess,
+  setAdminStatus,
+  deleteAdmin,
+};
@@ -0,0 +1,211 @@
+const bcrypt = require("bcryptjs");
+const QRCode = require("qrcode");
+
+const Admin = require("../models/Admin");
+const AdminSession = require("../models/AdminSession");
+const { ADMIN_PUBLIC_FIELDS } = require("../middleware/auth");
+const {
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/sessionService");
+const { generateBackupCodes, verifySecondFactor } = require("../services/twoFactorService");
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require("../utils/totp");
+const { ACCESS_TOKEN_TTL, TOTP_ISSUER } = require("../config/constants");
+
+const refreshSession = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: "Refresh token is required" });
+  }
+
+  try {
+    const result = await rotateSession(refreshToken, (adminId) =>
+      Admin.findById(adminId).select(ADMIN_PUBLIC_FIELDS)
+    );
+
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+    });
+  } catch (error) {
+    console.error("Error refreshing session:", error);
+    res.status(500).json({ message: "Failed to refresh session" });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.adminSession._id, "logout");
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res.status(500).json({ message: "Failed to log out" });
+  }
+};
+
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.admin._id, "logout_all");
+    res.json({ message: "All sessions have been logged out", revoked });
+  } catch (error) {
+    console.error("Error logging out all sessions:", error);
+    res.status(500).json({ message: "Failed to log out all sessions" });
+  }
+};
+
+const listSessions = async (req, res) => {
+  try {
+    const sessions = await AdminSession.find({
+      admin: req.admin._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ipAddress createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session._id.equals(req.adminSession._id),
+      })),
+    });
+  } catch (error) {
+    console.error("Error listing sessions:", error);
+    res.status(500).json({ message: "Failed to list sessions" });
+  }
+};
+
+// Starts enrolment; the secret only becomes active once a code is confirmed
+const setupTwoFactor = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin._id);
+    if (admin.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    admin.twoFactorPendingSecret = secret;
+    await admin.save();
+
+    const otpauthUrl = buildOtpAuthUrl(secret, admin.email, TOTP_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 240 });
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error("Error starting two-factor setup:", error);
+    res.status(500).json({ message: "Failed to start two-factor setup" });
+  }
+};
+
+const enableTwoFactor = async (req, res) => {
+  const { twoFactorCode } = req.body;
+
+  if (!twoFactorCode) {
+    return res.status(400).json({ message: "Authenticator code is required" });
+  }
+
+  try {
+    const admin = await Admin.findById(req.admin._id).select("+twoFactorPendingSecret");
+    if (!admin.twoFactorPendingSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" });
+    }
+
+    if (!verifyCode(admin.twoFactorPendingSecret, twoFactorCode)) {
+      return res.status(400).json({ message: "Invalid authenticator code" });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    admin.twoFactorSecret = admin.twoFactorPendingSecret;
+    admin.twoFactorPendingSecret = undefined;
+    admin.backupCodeHashes = hashes;
+    admin.twoFactorEnabled = true;
+    await admin.save();
+
+    res.json({
+      message: "Two-factor authentication enabled. Store these backup codes somewhere safe.",
+      backupCodes: codes,
+    });
+  } catch (error) {
+    console.error("Error enabling two-factor authentication:", error);
+    res.status(500).json({ message: "Failed to enable two-factor authentication" });
+  }
+};
+
+const disableTwoFactor = async (req, res) => {
+  const { password, twoFactorCode, backupCode } = req.body;
+
+  if (!password) {
+    return res.status(400).json({ message: "Password is required" });
+  }
+
+  try {
+    const admin = await Admin.findById(req.admin._id).select("+twoFactorSecret +backupCodeHashes");
+    if (!admin.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const isMatch = await bcrypt.compare(password, admin.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: "Password is incorrect" });
+    }
+
+    const verified = await verifySecondFactor(admin, { twoFactorCode, backupCode });
+    if (!verified) {
+      return res.status(400).json({ message: "Invalid two-factor authentication code" });
+    }
+
+    admin.twoFactorEnabled = false;
+    admin.twoFactorSecret = undefined;
+    admin.backupCodeHashes = [];
+    await admin.save();
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling two-factor authentication:", error);
+    res.status(500).json({ message: "Failed to disable two-factor authentication" });
+  }
+};
+
+const regenerateBackupCodes = async (req, res) => {
+  const { twoFactorCode } = req.body;
+
+  try {
+    const admin = await Admin.findById(req.admin._id).select("+twoFactorSecret");
+    if (!admin.twoFactorEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!verifyCode(admin.twoFactorSecret, twoFactorCode)) {
+      return res.status(400).json({ message: "Invalid authenticator code" });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    admin.backupCodeHashes = hashes;
+    await admin.save();
+
+    res.json({ message: "Backup codes regenerated", backupCodes: codes });
+  } catch (error) {
+    console.error("Error regenerating backup codes:", error);
+    res.status(500).json({ message: "Failed to regenerate backup codes" });
+  }
+};
+
+module.exports = {
+  refreshSession,
+  logout,
+  logoutAll,
+  listSessions,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+};
@@ -0,0 +1,245 @@
+const mongoose = require("mongoose");
+
+const Event = require("../models/Event");
+const Registration = require("../models/Registration");
+const { teamShortfall } = require("../services/teamService");
+const { verifyTicketToken } = require("../utils/ticket");
+
+const attendeeSummary = (registration) => ({
+  registrationId: registration._id,
+  name: registration.name,
+  email: registration.email,
+  phone: registration.phone,
+  ticketId: registration.ticketId,
+  checkedInAt: registration.checkedInAt,
+  checkedInBy: registration.checkedInBy,
+});
+
+// Shared by QR and manual check-in once the ticket has been identified
+const checkInTicket = async (req, res, { query, email, method }) => {
+  const { eventId } = req.params;
+
+  if (!mongoose.isValidObjectId(eventId)) {
+    return res.status(400).json({ success: false, message: "Invalid event ID" });
+  }
+
+  const event = await Event.findById(eventId);
+  if (!event) {
+    return res.status(404).json({ success: false, message: "Event not found" });
+  }
+
+  const registration = await Registration.findOne({ ...query, eventId });
+  const emailMatches =
+    !email || (registration && (registration.email || "").trim().toLowerCase() === email);
+  if (!registration || !emailMatches) {
+    return res.status(404).json({ success: false, message: "Ticket not found for this event" });
+  }
+
+  if (registration.cancelledAt) {
+    return res.status(400).json({
+      success: false,
+      message: "This ticket has been cancelled",
+      attendee: attendeeSummary(registration),
+    });
+  }
+
+  if (registration.paymentStatus !== "completed") {
+    return res.status(400).json({
+      success: false,
+      message: "Payment for this ticket has not been verified",
+      attendee: attendeeSummary(registration),
+    });
+  }
+
+  // Teams below the event's minimum size aren't admitted unless the admin says so
+  if (registration.teamId && !req.body.allowIncompleteTeam) {
+    const missing = await teamShortfall(event, registration.teamId);
+    if (missing > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Team ${registration.teamName} needs ${missing} more confirmed member(s) to take part`,
+        teamIncomplete: true,
+        attendee: attendeeSummary(registration),
+      });
+    }
+  }
+
+  // Conditional update so two scanners reading the same ticket can't both admit it
+  const checkedIn = await Registration.findOneAndUpdate(
+    { _id: registration._id, checkedInAt: { $exists: false }, cancelledAt: { $exists: false } },
+    {
+      $set: {
+        checkedInAt: new Date(),
+        checkedInBy: req.admin.email,
+        checkInMethod: method,
+      },
+    },
+    { new: true }
+  );
+
+  if (!checkedIn) {
+    const existing = await Registration.findById(registration._id);
+    return res.status(409).json({
+      success: false,
+      message: "Ticket has already been checked in",
+      attendee: attendeeSummary(existing),
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `✅ ${checkedIn.name} checked in`,
+    attendee: attendeeSummary(checkedIn),
+  });
+};
+
+const scanTicket = async (req, res) => {
+  const { eventId } = req.params;
+  const ticket = verifyTicketToken(req.body.payload);
+
+  if (!ticket) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid or tampered ticket QR code. Use manual check-in with ticket ID and email.",
+    });
+  }
+
+  if (ticket.eventId !== eventId) {
+    return res.status(400).json({ success: false, message: "This ticket is for a different event" });
+  }
+
+  if (!mongoose.isValidObjectId(ticket.registrationId)) {
+    return res.status(400).json({ success: false, message: "Invalid registration ID" });
+  }
+
+  try {
+    await checkInTicket(req, res, { query: { _id: ticket.registrationId }, method: "qr" });
+  } catch (error) {
+    console.error("Error checking in ticket:", error);
+    res.status(500).json({ success: false, message: "Failed to check in ticket" });
+  }
+};
+
+const manualCheckIn = async (req, res) => {
+  const { ticketId, email } = req.body;
+
+  if (!ticketId || !email) {
+    return res.status(400).json({ success: false, message: "Ticket ID and email are required" });
+  }
+
+  const ticketNumber = Number(ticketId);
+  if (!Number.isInteger(ticketNumber) || ticketNumber < 1 || typeof email !== "string") {
+    return res.status(400).json({ success: false, message: "Invalid ticket ID or email" });
+  }
+
+  try {
+    await checkInTicket(req, res, {
+      query: { ticketId: ticketNumber },
+      email: email.trim().toLowerCase(),
+      method: "manual",
+    });
+  } catch (error) {
+    console.error("Error checking in attendee manually:", error);
+    res.status(500).json({ success: false, message: "Failed to check in attendee" });
+  }
+};
+
+const getAttendance = async (req, res) => {
+  const { eventId } = req.params;
+
+  if (!mongoose.isValidObjectId(eventId)) {
+    return res.status(404).json({ message: "Event not found" });
+  }
+
+  try {
+    const event = await Event.findById(eventId);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    const [counts] = await Registration.aggregate([
+      { $match: { eventId: new mongoose.Types.ObjectId(eventId) } },
+      {
+        $group: {
+          _id: null,
+          registered: { $sum: 1 },
+          cancelled: { $sum: { $cond: [{ $ifNull: ["$cancelledAt", false] }, 1, 0] } },
+          eligible: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$paymentStatus", "completed"] },
+                    { $not: [{ $ifNull: ["$cancelledAt", false] }] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+          checkedIn: { $sum: { $cond: [{ $ifNull: ["$checkedInAt", false] }, 1, 0] } },
+        },
+      },
+    ]);
+
+    const { registered = 0, cancelled = 0, eligible = 0, checkedIn = 0 } = counts || {};
+    const recentCheckIns = await Registration.find({ eventId, checkedInAt: { $exists: true } })
+      .sort({ checkedInAt: -1 })
+      .limit(10)
+      .select("name email ticketId checkedInAt checkedInBy");
+
+    res.json({
+      success: true,
+      eventName: event.name,
+      registered,
+      cancelled,
+      eligible,
+      checkedIn,
+      notCheckedIn: Math.max(eligible - checkedIn, 0),
+      recentCheckIns,
+    });
+  } catch (error) {
+    console.error("Error fetching attendance:", error);
+    res.status(500).json({ message: "Failed to fetch attendance" });
+  }
+};
+
+// Decodes a signed ticket without checking it in, e.g. to preview the attendee at the door
+const verifyTicket = async (req, res) => {
+  const ticket = verifyTicketToken(req.body.token);
+
+  if (!ticket) {
+    return res.status(400).json({ valid: false, message: "Invalid or tampered ticket" });
+  }
+
+  try {
+    const registration = await Registration.findOne({
+      _id: ticket.registrationId,
+      eventId: ticket.eventId,
+    });
+    if (!registration) {
+      return res.status(404).json({ valid: false, message: "Ticket no longer exists" });
+    }
+
+    const event = await Event.findById(ticket.eventId).select("name date venue");
+
+    res.json({
+      valid: true,
+      attendee: {
+        ...attendeeSummary(registration),
+        paymentStatus: registration.paymentStatus,
+        customFieldValues: registration.customFieldValues,
+      },
+      event: event ? { id: event._id, name: event.name, date: event.date, venue: event.venue } : null,
+    });
+  } catch (error) {
+    console.error("Error verifying ticket:", error);
+    res.status(500).json({ valid: false, message: "Failed to verify ticket" });
+  }
+};
+
+module.exports = {
+  verifyTicket,
+  scanTicket,
+  manualCheckIn,
+  getAttendance,
+};
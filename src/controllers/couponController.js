@@ -0,0 +1,160 @@
+const mongoose = require("mongoose");
+
+const Coupon = require("../models/Coupon");
+const Event = require("../models/Event");
+const { normalizeCouponCode } = require("../services/couponService");
+const { accessibleEventIds } = require("../config/permissions");
+
+const COUPON_FIELDS = [
+  "discountType",
+  "discountValue",
+  "maxUses",
+  "perEmailLimit",
+  "startsAt",
+  "expiresAt",
+  "active",
+];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Checks the coupon as it will be saved, i.e. with any update already applied
+const validateCoupon = (coupon) => {
+  if (!/^[A-Z0-9_-]{3,32}$/.test(coupon.code)) {
+    return "Coupon code must be 3-32 letters, digits, dashes or underscores";
+  }
+  if (!["percent", "flat"].includes(coupon.discountType)) {
+    return "Discount type must be percent or flat";
+  }
+  if (typeof coupon.discountValue !== "number" || !(coupon.discountValue > 0)) {
+    return "Discount value must be a positive number";
+  }
+  if (coupon.discountType === "percent" && coupon.discountValue > 100) {
+    return "A percentage discount cannot exceed 100";
+  }
+  for (const field of ["maxUses", "perEmailLimit"]) {
+    if (coupon[field] !== undefined && coupon[field] !== null && !isPositiveInteger(coupon[field])) {
+      return `${field} must be a positive whole number`;
+    }
+  }
+  if (coupon.startsAt && coupon.expiresAt && new Date(coupon.expiresAt) <= new Date(coupon.startsAt)) {
+    return "Expiry must be after the start date";
+  }
+  return null;
+};
+
+// Admins limited to specific events can only manage those events' coupons, not global ones
+const canManageGlobalCoupons = (admin) => accessibleEventIds(admin) === null;
+
+const createCoupon = async (req, res) => {
+  const { code, eventId } = req.body;
+
+  if (!eventId && !canManageGlobalCoupons(req.admin)) {
+    return res.status(403).json({ message: "You do not have permission to perform this action" });
+  }
+
+  const coupon = new Coupon({ code: normalizeCouponCode(code), createdBy: req.admin.email });
+  COUPON_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) coupon[field] = req.body[field];
+  });
+
+  const validationError = validateCoupon(coupon);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    if (eventId) {
+      const event = mongoose.isValidObjectId(eventId) ? await Event.findById(eventId) : null;
+      if (!event) return res.status(404).json({ message: "Event not found" });
+      if (event.isFree) {
+        return res.status(400).json({ message: "Coupons can only be created for paid events" });
+      }
+      coupon.eventId = event._id;
+    }
+
+    if (await Coupon.exists({ code: coupon.code })) {
+      return res.status(400).json({ message: "A coupon with this code already exists" });
+    }
+
+    await coupon.save();
+    res.status(201).json({ success: true, message: "Coupon created", coupon });
+  } catch (error) {
+    console.error("Error creating coupon:", error);
+    res.status(500).json({ message: "Failed to create coupon" });
+  }
+};
+
+const listCoupons = async (req, res) => {
+  const { eventId } = req.query;
+
+  try {
+    let filter = {};
+    if (eventId) {
+      filter = { eventId };
+    } else {
+      const eventIds = accessibleEventIds(req.admin);
+      if (eventIds) filter = { $or: [{ eventId: { $in: eventIds } }, { eventId: null }] };
+    }
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).populate("eventId", "name");
+    res.json({ success: true, coupons });
+  } catch (error) {
+    console.error("Error fetching coupons:", error);
+    res.status(500).json({ message: "Failed to fetch coupons" });
+  }
+};
+
+// The code and the event a coupon applies to can't be changed once created
+const updateCoupon = async (req, res) => {
+  const { couponId } = req.params;
+
+  try {
+    const coupon = mongoose.isValidObjectId(couponId) ? await Coupon.findById(couponId) : null;
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+
+    if (!coupon.eventId && !canManageGlobalCoupons(req.admin)) {
+      return res.status(403).json({ message: "You do not have permission to perform this action" });
+    }
+
+    COUPON_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+
+    const validationError = validateCoupon(coupon);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    await coupon.save();
+    res.json({ success: true, message: "Coupon updated", coupon });
+  } catch (error) {
+    console.error("Error updating coupon:", error);
+    res.status(500).json({ message: "Failed to update coupon" });
+  }
+};
+
+const deleteCoupon = async (req, res) => {
+  const { couponId } = req.params;
+
+  try {
+    const coupon = mongoose.isValidObjectId(couponId) ? await Coupon.findById(couponId) : null;
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+
+    if (!coupon.eventId && !canManageGlobalCoupons(req.admin)) {
+      return res.status(403).json({ message: "You do not have permission to perform this action" });
+    }
+
+    await coupon.deleteOne();
+    res.json({ success: true, message: "Coupon deleted" });
+  } catch (error) {
+    console.error("Error deleting coupon:", error);
+    res.status(500).json({ message: "Failed to delete coupon" });
+  }
+};
+
+module.exports = {
+  createCoupon,
+  listCoupons,
+  updateCoupon,
+  deleteCoupon,
+};
@@ -0,0 +1,155 @@
+const mongoose = require("mongoose");
+
+const Event = require("../models/Event");
+const EmailTemplate = require("../models/EmailTemplate");
+const { DEFAULT_EMAIL_TEMPLATES } = require("../config/emailTemplates");
+const {
+  EMAIL_TEMPLATE_NAMES,
+  isTemplateName,
+  templateVariableNames,
+  validateTemplate,
+  findTemplate,
+  renderPreview,
+} = require("../services/emailTemplateService");
+const { accessibleEventIds } = require("../config/permissions");
+
+// Admins limited to specific events can only manage those events' templates, not global ones
+const canManageGlobalTemplates = (admin) => accessibleEventIds(admin) === null;
+
+// Looks up the event a request names, if any. Resolves to { event } (null without an eventId)
+// or { status, message } when it can't be used.
+const resolveEvent = async (admin, eventId) => {
+  if (!eventId) {
+    return canManageGlobalTemplates(admin)
+      ? { event: null }
+      : { status: 403, message: "You do not have permission to perform this action" };
+  }
+
+  const event = mongoose.isValidObjectId(eventId) ? await Event.findById(eventId) : null;
+  return event ? { event } : { status: 404, message: "Event not found" };
+};
+
+const describeTemplate = async (name, eventId) => ({
+  name,
+  description: DEFAULT_EMAIL_TEMPLATES[name].description,
+  variables: templateVariableNames(name),
+  ...(await findTemplate(name, eventId)),
+});
+
+// The templates in effect for an event, or the global ones without an eventId
+const listEmailTemplates = async (req, res) => {
+  try {
+    const { event, status, message } = await resolveEvent(req.admin, req.query.eventId);
+    if (status) return res.status(status).json({ message });
+
+    const templates = [];
+    for (const name of EMAIL_TEMPLATE_NAMES) {
+      templates.push(await describeTemplate(name, event && event._id));
+    }
+    res.json({ success: true, templates });
+  } catch (error) {
+    console.error("Error fetching email templates:", error);
+    res.status(500).json({ message: "Failed to fetch email templates" });
+  }
+};
+
+const updateEmailTemplate = async (req, res) => {
+  const { name } = req.params;
+  const { eventId, subject, html } = req.body;
+
+  if (!isTemplateName(name)) {
+    return res.status(404).json({ message: "Email template not found" });
+  }
+
+  const validationError = validateTemplate(name, { subject, html });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const { event, status, message } = await resolveEvent(req.admin, eventId);
+    if (status) return res.status(status).json({ message });
+
+    const eventRef = event ? event._id : null;
+    await EmailTemplate.findOneAndUpdate(
+      { name, eventId: eventRef },
+      { $set: { subject, html, updatedBy: req.admin.email, updatedAt: new Date() } },
+      { upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: "Email template saved",
+      template: await describeTemplate(name, eventRef),
+    });
+  } catch (error) {
+    console.error("Error saving email template:", error);
+    res.status(500).json({ message: "Failed to save email template" });
+  }
+};
+
+// Removes an override so the event falls back to the global template, or the global one
+// falls back to the built-in default
+const resetEmailTemplate = async (req, res) => {
+  const { name } = req.params;
+
+  if (!isTemplateName(name)) {
+    return res.status(404).json({ message: "Email template not found" });
+  }
+
+  try {
+    const { event, status, message } = await resolveEvent(req.admin, req.query.eventId);
+    if (status) return res.status(status).json({ message });
+
+    const eventRef = event ? event._id : null;
+    await EmailTemplate.deleteOne({ name, eventId: eventRef });
+
+    res.json({
+      success: true,
+      message: "Email template reset",
+      template: await describeTemplate(name, eventRef),
+    });
+  } catch (error) {
+    console.error("Error resetting email template:", error);
+    res.status(500).json({ message: "Failed to reset email template" });
+  }
+};
+
+// Renders the template against a sample registration. A subject and html in the body preview
+// a draft; otherwise the template currently in effect is shown.
+const previewEmailTemplate = async (req, res) => {
+  const { name } = req.params;
+  const { eventId, subject, html } = req.body;
+
+  if (!isTemplateName(name)) {
+    return res.status(404).json({ message: "Email template not found" });
+  }
+
+  try {
+    const { event, status, message } = await resolveEvent(req.admin, eventId);
+    if (status) return res.status(status).json({ message });
+
+    let template;
+    if (subject !== undefined || html !== undefined) {
+      const validationError = validateTemplate(name, { subject, html });
+      if (validationError) {
+        return res.status(400).json({ message: validationError });
+      }
+      template = { subject, html };
+    } else {
+      template = await findTemplate(name, event && event._id);
+    }
+
+    res.json({ success: true, preview: renderPreview(template, event) });
+  } catch (error) {
+    console.error("Error previewing email template:", error);
+    res.status(500).json({ message: "Failed to preview email template" });
+  }
+};
+
+module.exports = {
+  listEmailTemplates,
+  updateEmailTemplate,
+  resetEmailTemplate,
+  previewEmailTemplate,
+};
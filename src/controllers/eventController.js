@@ -2,6 +2,26 @@ const ExcelJS = require("exceljs");
 
 const Event = require("../models/Event");
 const Registration = require("../models/Registration");
+const { availableSeats, releaseExpiredHolds } = require("../services/seatService");
+const { triggerWaitlistPromotion } = require("../services/waitlistService");
+const { assessFraudRisk } = require("../services/fraudService");
+const {
+  tierSummaries,
+  normalizeTiers,
+  syncTiers,
+  tierReport,
+} = require("../services/tierService");
+const { normalizeTeamSettings, teamRoster } = require("../services/teamService");
+const {
+  orderedFields,
+  normalizeCustomFields,
+  renderCustomFieldValue,
+} = require("../utils/customFields");
+const { applyFormChange, answersByField, formColumns } = require("../services/formService");
+const { MAIL_TRANSPORTS } = require("../config/constants");
+
+// Unset means the event uses the MAIL_TRANSPORT default
+const isMailTransport = (value) => !value || MAIL_TRANSPORTS.includes(value);
 
 const getEventRegistrations = async (req, res) => {
   try {
@@ -11,6 +31,15 @@ const getEventRegistrations = async (req, res) => {
 
     const eventCustomFields = event.customFields || [];
     const registrationsData = await Registration.find({ eventId }).lean();
+    const fraudRisks = await assessFraudRisk(registrationsData);
+    const teams = event.teamSettings ? await teamRoster(event, registrationsData) : undefined;
+    // Current fields plus any retired ones the registrations answered
+    const formFields = formColumns(event, registrationsData).map(({ key, field, retired }) => ({
+      key,
+      fieldName: field.fieldName,
+      fieldType: field.fieldType,
+      retired,
+    }));
 
     const processedRegistrations = registrationsData.map((registration) => {
       let processedCustomFieldValues = {};
@@ -42,8 +71,13 @@ const getEventRegistrations = async (req, res) => {
       return {
         ...registration,
         customFieldValues: processedCustomFieldValues,
+        // Answers by formFields key, whatever the field was called when they were given
+        fieldAnswers: Object.fromEntries(
+          [...answersByField(event, registration)].map(([key, { value }]) => [key, value])
+        ),
         hasCustomFields,
         eventCustomFields,
+        fraudRisk: fraudRisks.get(registration._id.toString()),
       };
     });
 
@@ -52,6 +86,9 @@ const getEventRegistrations = async (req, res) => {
         success: true,
         registrations: processedRegistrations,
         eventCustomFields,
+        formVersion: event.formVersion,
+        formFields,
+        teams,
       });
     }, 300);
   } catch (error) {
@@ -77,46 +114,6 @@ const getColumnLetter = (colNum) => {
   return result || 'A';
 };
 
-/**
- * Helper function to safely extract custom field values from various formats
- */
-const extractCustomFieldValue = (customFieldValues, fieldName) => {
-  if (!customFieldValues || !fieldName) return "";
-
-  try {
-    // Handle Map type (Mongoose Map)
-    if (customFieldValues instanceof Map) {
-      const value = customFieldValues.get(fieldName);
-      return value !== null && value !== undefined ? String(value) : "";
-    }
-
-    // Handle string (JSON stringified)
-    if (typeof customFieldValues === "string") {
-      try {
-        const parsed = JSON.parse(customFieldValues);
-        if (parsed && typeof parsed === "object" && parsed[fieldName] !== undefined) {
-          return String(parsed[fieldName]);
-        }
-      } catch (e) {
-        // If not valid JSON, check if it's a direct string match
-        return "";
-      }
-    }
-
-    // Handle plain object
-    if (typeof customFieldValues === "object" && customFieldValues !== null && !Array.isArray(customFieldValues)) {
-      if (customFieldValues[fieldName] !== undefined) {
-        const value = customFieldValues[fieldName];
-        return value !== null && value !== undefined ? String(value) : "";
-      }
-    }
-  } catch (error) {
-    console.error(`Error extracting custom field "${fieldName}":`, error);
-  }
-
-  return "";
-};
-
 /**
  * Helper function to format dates consistently
  */
@@ -191,12 +188,35 @@ const downloadEventRegistrations = async (req, res) => {
       { header: "Registration Date", key: "registrationDate", width: 22 },
     ];
 
+    const hasTiers = (event.ticketTiers || []).length > 0 || registrations.some((r) => r.tierName);
+    if (hasTiers) {
+      baseColumns.push({ header: "Ticket Type", key: "tierName", width: 20 });
+    }
+
+    // Group orders: payers show how many attendees they paid for, the rest who paid for them
+    const hasGroups = registrations.some((r) => r.groupSize || r.groupPayerId);
+    const ticketIdsById = new Map(registrations.map((r) => [r.id, r.ticketId]));
+    if (hasGroups) {
+      baseColumns.push({ header: "Group", key: "group", width: 20 });
+    }
+
+    const hasTeams = registrations.some((r) => r.teamId);
+    if (hasTeams) {
+      baseColumns.push(
+        { header: "Team", key: "teamName", width: 25 },
+        { header: "Team Role", key: "teamRole", width: 14 }
+      );
+    }
+
     // Add payment-related columns (only for paid events or if any registration has payment info)
     const hasPaymentInfo = !event.isFree || registrations.some(r => r.paymentStatus || r.paymentId);
     if (hasPaymentInfo) {
       baseColumns.push(
         { header: "Payment Status", key: "paymentStatus", width: 18 },
         { header: "Payment ID", key: "paymentId", width: 25 },
+        { header: "UTR", key: "transactionId", width: 18 },
+        { header: "Amount Due", key: "amountDue", width: 14 },
+        { header: "Coupon", key: "couponCode", width: 16 },
         { header: "Payment Method", key: "paymentMethod", width: 18 },
         { header: "Payment Verified", key: "paymentVerified", width: 18 },
         { header: "Verification Date", key: "verificationDate", width: 22 },
@@ -204,21 +224,28 @@ const downloadEventRegistrations = async (req, res) => {
       );
     }
 
-    // Add custom fields columns
-    const customFieldMap = new Map(); // Track custom field keys for later use
-    if (event.customFields && Array.isArray(event.customFields) && event.customFields.length > 0) {
-      event.customFields.forEach((field) => {
-        if (field && field.fieldName) {
-          const sanitizedKey = `custom_${field.fieldName.replace(/[\s\-]/g, "_").replace(/[^a-zA-Z0-9_]/g, "")}`;
-          customFieldMap.set(field.fieldName, sanitizedKey);
-          baseColumns.push({
-            header: field.fieldName,
-            key: sanitizedKey,
-            width: Math.max(20, Math.min(50, field.fieldName.length + 5)),
-          });
-        }
+    // Add attendance columns
+    baseColumns.push(
+      { header: "Checked In", key: "checkedIn", width: 14 },
+      { header: "Check-in Time", key: "checkedInAt", width: 22 },
+      { header: "Checked In By", key: "checkedInBy", width: 25 },
+      { header: "Cancelled At", key: "cancelledAt", width: 22 },
+      { header: "Refund Status", key: "refundStatus", width: 16 }
+    );
+
+    // Add custom fields columns, in form order, followed by retired fields that were answered
+    const customFieldColumns = formColumns(event, registrations).map((column, index) => ({
+      ...column,
+      columnKey: `custom_${index}`,
+    }));
+    customFieldColumns.forEach(({ field, retired, columnKey }) => {
+      const header = retired ? `${field.fieldName} (retired)` : field.fieldName;
+      baseColumns.push({
+        header,
+        key: columnKey,
+        width: Math.max(20, Math.min(50, header.length + 5)),
       });
-    }
+    });
 
     // Calculate total columns and last column letter for merging
     const totalColumns = baseColumns.length;
@@ -254,10 +281,13 @@ const downloadEventRegistrations = async (req, res) => {
     const paidReg = registrations.filter(r => r.paymentStatus === "completed").length;
     const pendingReg = registrations.filter(r => r.paymentStatus !== "completed" && r.paymentStatus !== "free").length;
     
+    const checkedInReg = registrations.filter(r => r.checkedInAt).length;
+
     let summaryText = `Total Registrations: ${totalReg}`;
     if (!event.isFree && hasPaymentInfo) {
       summaryText += ` | Paid: ${paidReg} | Pending: ${pendingReg}`;
     }
+    summaryText += ` | Checked In: ${checkedInReg}`;
     summaryCell.value = summaryText;
     summaryCell.font = { size: 11, bold: true };
     summaryCell.alignment = { horizontal: "center", vertical: "middle" };
@@ -290,19 +320,50 @@ const downloadEventRegistrations = async (req, res) => {
         registrationDate: formatDate(registration.registrationDate, true),
       };
 
+      if (hasTiers) {
+        rowData.tierName = registration.tierName || "N/A";
+      }
+
+      if (hasGroups) {
+        if (registration.groupSize) {
+          rowData.group = `Payer for ${registration.groupSize}`;
+        } else if (registration.groupPayerId) {
+          rowData.group = `Paid by #${ticketIdsById.get(registration.groupPayerId.toString()) || "?"}`;
+        } else {
+          rowData.group = "";
+        }
+      }
+
+      if (hasTeams) {
+        rowData.teamName = registration.teamName || "";
+        rowData.teamRole = { captain: "Captain", member: "Member" }[registration.teamRole] || "";
+      }
+
       // Add payment fields if applicable
       if (hasPaymentInfo) {
         rowData.paymentStatus = registration.paymentStatus || "pending";
         rowData.paymentId = registration.paymentId || "N/A";
+        rowData.transactionId = registration.transactionId || "N/A";
+        rowData.amountDue = registration.amountDue ?? event.fee;
+        rowData.couponCode = registration.couponCode || "";
         rowData.paymentMethod = registration.paymentMethod || "N/A";
         rowData.paymentVerified = registration.paymentVerified ? "Yes" : "No";
         rowData.verificationDate = formatDate(registration.verificationDate, true);
         rowData.verifiedBy = registration.verifiedBy || "N/A";
       }
 
+      rowData.checkedIn = registration.checkedInAt ? "Yes" : "No";
+      rowData.checkedInAt = registration.checkedInAt ? formatDate(registration.checkedInAt, true) : "";
+      rowData.checkedInBy = registration.checkedInBy || "";
+      rowData.cancelledAt = registration.cancelledAt ? formatDate(registration.cancelledAt, true) : "";
+      rowData.refundStatus = registration.refundStatus || "";
+
       // Add custom field values
-      customFieldMap.forEach((key, fieldName) => {
-        rowData[key] = extractCustomFieldValue(registration.customFieldValues, fieldName);
+      const answers = answersByField(event, registration);
+      customFieldColumns.forEach(({ key, columnKey }) => {
+        const answer = answers.get(key);
+        // Rendered as the field was defined when the answer was given
+        rowData[columnKey] = answer ? renderCustomFieldValue(answer.field, answer.value) : "";
       });
 
       const row = worksheet.addRow(rowData);
@@ -324,6 +385,14 @@ const downloadEventRegistrations = async (req, res) => {
           cell.alignment = { vertical: "middle", horizontal: "center", wrapText: true };
         }
       });
+
+      // Uploaded files and links open from the sheet
+      customFieldColumns.forEach(({ columnKey }) => {
+        const cell = row.getCell(columnKey);
+        if (cell.value && cell.value.hyperlink) {
+          cell.font = { color: { argb: "1D4ED8" }, underline: true };
+        }
+      });
     });
 
     // Set column-specific alignments
@@ -349,6 +418,26 @@ const downloadEventRegistrations = async (req, res) => {
     } else {
       worksheet.addRow(["", "", "", `Total Registrations: ${registrations.length}`, "", "", "", "", ""]);
     }
+    worksheet.addRow(["", "", "", `Total Checked In: ${checkedInReg}`, "", "", "", "", ""]);
+
+    // Per ticket type breakdown
+    if (hasTiers) {
+      const report = await tierReport(event);
+      report.tiers.forEach((tier) => {
+        const quota = tier.seatQuota ? ` / ${tier.seatQuota}` : "";
+        worksheet.addRow([
+          "",
+          "",
+          "",
+          `${tier.name}: ${tier.registered}${quota} registered, ₹${tier.revenue} collected`,
+          "",
+          "",
+          "",
+          "",
+          "",
+        ]);
+      });
+    }
 
     // Style summary rows
     for (let i = summaryStartRow; i <= worksheet.rowCount; i++) {
@@ -364,6 +453,39 @@ const downloadEventRegistrations = async (req, res) => {
       }
     });
 
+    // Team events get a second sheet listing each team as a unit
+    if (hasTeams) {
+      const teams = await teamRoster(event, registrations);
+      const teamSheet = workbook.addWorksheet("Teams");
+      teamSheet.columns = [
+        { header: "Team", key: "name", width: 28 },
+        { header: "Join Code", key: "joinCode", width: 12 },
+        { header: "Members", key: "memberCount", width: 10 },
+        { header: "Confirmed", key: "confirmedCount", width: 11 },
+        { header: "Status", key: "status", width: 22 },
+        { header: "Captain", key: "captain", width: 28 },
+        { header: "Team Members", key: "members", width: 50 },
+      ];
+
+      const teamHeaderRow = teamSheet.getRow(1);
+      teamHeaderRow.font = { bold: true, color: { argb: "FFFFFF" } };
+      teamHeaderRow.fill = { type: "pattern", pattern: "solid", fgColor: { argb: "4F46E5" } };
+      teamHeaderRow.alignment = { horizontal: "center", vertical: "middle" };
+
+      teams.forEach((team) => {
+        const captain = team.members.find((member) => member.role === "captain");
+        teamSheet.addRow({
+          name: team.name,
+          joinCode: team.joinCode,
+          memberCount: team.memberCount,
+          confirmedCount: team.confirmedCount,
+          status: team.complete ? "Complete" : `Incomplete (needs ${team.minSize} confirmed)`,
+          captain: captain ? `${captain.name} (#${captain.ticketId})` : "",
+          members: team.members.map((member) => `${member.name} (#${member.ticketId})`).join(", "),
+        }).alignment = { vertical: "middle", wrapText: true };
+      });
+    }
+
     // Set filename
     const filename = req.query.filename || 
       `${(event.name || "Event").replace(/[^a-zA-Z0-9]/g, "_")}_Registrations_${new Date().toISOString().split('T')[0]}.xlsx`;
@@ -403,6 +525,20 @@ const downloadEventRegistrations = async (req, res) => {
   }
 };
 
+// Sales per ticket type: registrations by payment status, revenue and seats left
+const getTierReport = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    const report = await tierReport(event);
+    res.json({ success: true, eventName: event.name, ...report });
+  } catch (error) {
+    console.error("Error fetching ticket type report:", error);
+    res.status(500).json({ message: "Failed to fetch ticket type report" });
+  }
+};
+
 const getEvents = async (req, res) => {
   try {
     const events = await Event.find().sort({ date: -1 });
@@ -423,46 +559,49 @@ const createEvent = async (req, res) => {
     isFree,
     fee,
     featured,
+    waitlistEnabled,
+    cancellationDeadline,
     customFields,
+    ticketTiers,
+    teamSettings,
     upiId,
     phoneNumber,
     emailForNotifications,
+    mailTransport,
   } = req.body;
 
   if (!name || !date || !description || !venue || !seatLimit) {
     return res.status(400).json({ message: "All fields are required" });
   }
 
+  if (!isMailTransport(mailTransport)) {
+    return res.status(400).json({ message: `Mail transport must be one of: ${MAIL_TRANSPORTS.join(", ")}` });
+  }
+
   if (isFree === false && (!fee || fee <= 0)) {
     return res.status(400).json({ message: "Fee amount is required for paid events" });
   }
 
-  try {
-    let validatedCustomFields = [];
-    if (customFields && Array.isArray(customFields)) {
-      validatedCustomFields = customFields.map((field) => {
-        if (!field.fieldName) {
-          throw new Error("All custom fields must have a name");
-        }
-
-        if (!["text", "email", "number", "date", "select", "checkbox"].includes(field.fieldType)) {
-          field.fieldType = "text";
-        }
+  let tiers = [];
+  if (ticketTiers !== undefined) {
+    const normalized = normalizeTiers(ticketTiers);
+    if (normalized.error) {
+      return res.status(400).json({ message: normalized.error });
+    }
+    tiers = normalized.tiers;
+  }
 
-        if (field.fieldType === "select" && (!field.options || !Array.isArray(field.options))) {
-          field.options = [];
-        }
+  const normalizedTeams = normalizeTeamSettings(teamSettings);
+  if (normalizedTeams.error) {
+    return res.status(400).json({ message: normalizedTeams.error });
+  }
 
-        return {
-          fieldName: field.fieldName,
-          fieldType: field.fieldType,
-          isRequired: !!field.isRequired,
-          options: field.options || [],
-          placeholder: field.placeholder || "",
-        };
-      });
-    }
+  const normalizedFields = normalizeCustomFields(customFields);
+  if (normalizedFields.error) {
+    return res.status(400).json({ message: normalizedFields.error });
+  }
 
+  try {
     const newEvent = new Event({
       name,
       date,
@@ -473,13 +612,27 @@ const createEvent = async (req, res) => {
       isFree: isFree !== undefined ? isFree : true,
       fee: isFree === false ? fee : 0,
       featured: featured || false,
+      waitlistEnabled: !!waitlistEnabled,
+      cancellationDeadline: cancellationDeadline || undefined,
       upiId: upiId || process.env.UPI_ID,
       phoneNumber: phoneNumber || "",
       emailForNotifications: emailForNotifications || process.env.EMAIL_USER,
-      customFields: validatedCustomFields,
+      mailTransport: mailTransport || undefined,
+      customFields: normalizedFields.fields,
+      formVersion: 1,
+      formVersions: [{ version: 1, fields: normalizedFields.fields }],
+      ticketTiers: tiers,
+      teamSettings: normalizedTeams.settings,
     });
 
     await newEvent.save();
+
+    // Scoped admins keep access to the events they create
+    if (req.admin && req.admin.events && req.admin.events.length > 0) {
+      req.admin.events.push(newEvent._id);
+      await req.admin.save();
+    }
+
     res.status(201).json({ message: "Event created successfully!", event: newEvent });
   } catch (error) {
     console.error("Error in event creation:", error);
@@ -492,6 +645,12 @@ const createEvent = async (req, res) => {
 
 const getEventById = async (req, res) => {
   try {
+    // Seats freed by lapsed holds are offered to the waitlist straight away
+    const freedEventIds = await releaseExpiredHolds(req.params.eventId);
+    if (freedEventIds.length > 0) {
+      triggerWaitlistPromotion(req.params.eventId);
+    }
+
     const event = await Event.findById(req.params.eventId);
     if (!event) return res.status(404).json({ message: "Event not found" });
 
@@ -502,13 +661,21 @@ const getEventById = async (req, res) => {
       venue: event.venue,
       seatLimit: event.seatLimit,
       registeredUsers: event.registeredUsers,
+      heldSeats: event.heldSeats || 0,
+      availableSeats: availableSeats(event),
       isFree: event.isFree,
       fee: event.fee,
       featured: event.featured || false,
+      waitlistEnabled: event.waitlistEnabled || false,
+      cancellationDeadline: event.cancellationDeadline || null,
       upiId: event.upiId || "",
       phoneNumber: event.phoneNumber || "",
       emailForNotifications: event.emailForNotifications || "",
-      customFields: event.customFields || [],
+      mailTransport: event.mailTransport || null,
+      customFields: orderedFields(event.customFields),
+      formVersion: event.formVersion,
+      ticketTiers: tierSummaries(event),
+      teamSettings: event.teamSettings || { enabled: false },
     });
   } catch (error) {
     res.status(500).json({ message: "Error fetching event", error });
@@ -526,13 +693,19 @@ const updateEvent = async (req, res) => {
     isFree,
     fee,
     featured,
+    waitlistEnabled,
+    cancellationDeadline,
     upiId,
     phoneNumber,
     customFields,
+    ticketTiers,
+    teamSettings,
+    mailTransport,
+    appPassword,
   } = req.body;
 
   try {
-    const event = await Event.findById(id);
+    let event = await Event.findById(id);
     if (!event) {
       return res.status(404).json({ message: "Event not found!" });
     }
@@ -541,11 +714,29 @@ const updateEvent = async (req, res) => {
       return res.status(400).json({ message: "Fee amount is required for paid events" });
     }
 
-    if (seatLimit !== undefined && seatLimit !== event.seatLimit) {
-      const seatDifference = seatLimit - event.seatLimit;
-      event.remainingSeats = Math.max((event.remainingSeats || 0) + seatDifference, 0);
+    if (!isMailTransport(mailTransport)) {
+      return res.status(400).json({ message: `Mail transport must be one of: ${MAIL_TRANSPORTS.join(", ")}` });
+    }
+
+    let tiers;
+    if (ticketTiers !== undefined) {
+      const normalized = normalizeTiers(ticketTiers || [], event.ticketTiers);
+      if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
+      }
+      tiers = normalized.tiers;
+    }
+
+    if (teamSettings !== undefined) {
+      const normalizedTeams = normalizeTeamSettings(teamSettings);
+      if (normalizedTeams.error) {
+        return res.status(400).json({ message: normalizedTeams.error });
+      }
+      event.teamSettings = normalizedTeams.settings;
     }
 
+    const previousSeatLimit = event.seatLimit;
+
     event.name = name || event.name;
     event.date = date || event.date;
     event.description = description || event.description;
@@ -559,6 +750,15 @@ const updateEvent = async (req, res) => {
 
     event.featured = featured !== undefined ? featured : event.featured;
 
+    if (waitlistEnabled !== undefined) {
+      event.waitlistEnabled = !!waitlistEnabled;
+    }
+
+    // An explicit null or empty string removes the deadline
+    if (cancellationDeadline !== undefined) {
+      event.cancellationDeadline = cancellationDeadline || undefined;
+    }
+
     if (upiId !== undefined) {
       event.upiId = upiId;
     }
@@ -567,36 +767,36 @@ const updateEvent = async (req, res) => {
       event.phoneNumber = phoneNumber;
     }
 
-    if (customFields !== undefined) {
-      if (Array.isArray(customFields)) {
-        event.customFields = customFields.map((field) => {
-          if (!field.fieldName) {
-            throw new Error("All custom fields must have a name");
-          }
-
-          if (!["text", "email", "number", "date", "select", "checkbox"].includes(field.fieldType)) {
-            field.fieldType = "text";
-          }
+    // An explicit null or empty string goes back to the default transport / environment credentials
+    if (mailTransport !== undefined) {
+      event.mailTransport = mailTransport || undefined;
+    }
 
-          if (field.fieldType === "select" && (!field.options || !Array.isArray(field.options))) {
-            field.options = [];
-          }
+    // Only ever written, never sent back
+    if (appPassword !== undefined) {
+      event.appPassword = appPassword || undefined;
+    }
 
-          return {
-            fieldName: field.fieldName,
-            fieldType: field.fieldType,
-            isRequired: !!field.isRequired,
-            options: field.options || [],
-            placeholder: field.placeholder || "",
-          };
-        });
-      } else {
-        event.customFields = [];
+    // Earlier versions of the form are kept so existing answers still line up
+    if (customFields !== undefined) {
+      const formChange = applyFormChange(event, customFields);
+      if (formChange.error) {
+        return res.status(400).json({ message: formChange.error });
       }
     }
 
     await event.save();
 
+    // Tiers are written separately so concurrent checkouts' seat counts aren't overwritten
+    if (tiers) {
+      event = await syncTiers(event, tiers);
+    }
+
+    // Extra capacity goes to the waitlist first
+    if (event.seatLimit > previousSeatLimit) {
+      triggerWaitlistPromotion(event._id);
+    }
+
     res.json({
       message: "✅ Event updated successfully!",
       event: {
@@ -605,7 +805,12 @@ const updateEvent = async (req, res) => {
         upiId: event.upiId,
         phoneNumber: event.phoneNumber,
         featured: event.featured,
+        waitlistEnabled: event.waitlistEnabled,
+        mailTransport: event.mailTransport || null,
         customFields: event.customFields,
+        formVersion: event.formVersion,
+        ticketTiers: tierSummaries(event),
+        teamSettings: event.teamSettings || { enabled: false },
       },
     });
   } catch (error) {
@@ -634,5 +839,6 @@ module.exports = {
   getEventById,
   updateEvent,
   deleteEvent,
+  getTierReport,
 };
 
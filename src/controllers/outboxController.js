@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const OutboxEmail = require("../models/OutboxEmail");
+const { resendEmail, resendFailedEmails } = require("../services/outboxService");
+
+const STATUSES = ["queued", "sending", "sent", "failed"];
+
+// An event's emails, failed ones unless another ?status= is asked for, newest first. Bodies
+// and attachments are left out.
+const listEventEmails = async (req, res) => {
+  const { eventId } = req.params;
+  const status = req.query.status || "failed";
+
+  if (status !== "all" && !STATUSES.includes(status)) {
+    return res.status(400).json({ message: `Status must be one of: ${STATUSES.join(", ")}, all` });
+  }
+
+  try {
+    const filter = { eventId };
+    if (status !== "all") filter.status = status;
+
+    const emails = await OutboxEmail.find(filter)
+      .select("-html -text -attachments")
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .lean();
+    res.json({ success: true, emails });
+  } catch (error) {
+    console.error("Error fetching event emails:", error);
+    res.status(500).json({ message: "Failed to fetch emails" });
+  }
+};
+
+const resendEventEmail = async (req, res) => {
+  const { eventId, emailId } = req.params;
+
+  try {
+    const email = mongoose.isValidObjectId(emailId) ? await resendEmail(eventId, emailId) : null;
+    if (!email) {
+      return res.status(404).json({ message: "No failed email found with this ID for the event" });
+    }
+    res.json({ success: true, message: `Email to ${email.to} queued for resending` });
+  } catch (error) {
+    console.error("Error resending email:", error);
+    res.status(500).json({ message: "Failed to resend email" });
+  }
+};
+
+const resendFailedEventEmails = async (req, res) => {
+  try {
+    const count = await resendFailedEmails(req.params.eventId);
+    res.json({ success: true, message: `${count} email(s) queued for resending`, count });
+  } catch (error) {
+    console.error("Error resending failed emails:", error);
+    res.status(500).json({ message: "Failed to resend emails" });
+  }
+};
+
+module.exports = {
+  listEventEmails,
+  resendEventEmail,
+  resendFailedEventEmails,
+};
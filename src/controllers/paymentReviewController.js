@@ -0,0 +1,209 @@
+const mongoose = require("mongoose");
+
+const Event = require("../models/Event");
+const Registration = require("../models/Registration");
+const { assessFraudRisk } = require("../services/fraudService");
+const {
+  approvePayment,
+  rejectPayment,
+  sendReviewEmailsInBackground,
+} = require("../services/paymentReviewService");
+const { PERMISSIONS, accessibleEventIds, hasPermission } = require("../config/permissions");
+
+const DEFAULT_QUEUE_LIMIT = 50;
+const MAX_QUEUE_LIMIT = 200;
+const MAX_BULK_REVIEW = 200;
+
+// Pending payments with a screenshot across every event the admin can verify, oldest first
+const getPendingPayments = async (req, res) => {
+  const { eventId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_QUEUE_LIMIT, MAX_QUEUE_LIMIT);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+  if (eventId && !hasPermission(req.admin, PERMISSIONS.PAYMENTS_VERIFY, eventId)) {
+    return res.status(403).json({ message: "You do not have permission to perform this action" });
+  }
+
+  const eventIds = eventId ? [eventId] : accessibleEventIds(req.admin);
+  const filter = {
+    paymentStatus: "pending",
+    paymentScreenshot: { $exists: true, $ne: "" },
+    cancelledAt: { $exists: false },
+  };
+  if (eventIds) filter.eventId = { $in: eventIds };
+
+  try {
+    const [total, registrations] = await Promise.all([
+      Registration.countDocuments(filter),
+      Registration.find(filter)
+        .select("-ticket -statusHistory")
+        .sort({ registrationDate: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    const events = await Event.find({
+      _id: { $in: [...new Set(registrations.map((r) => r.eventId.toString()))] },
+    }).select("name date fee");
+    const eventsById = new Map(events.map((event) => [event.id, event]));
+    const fraudRisks = await assessFraudRisk(registrations);
+    const now = Date.now();
+
+    res.json({
+      success: true,
+      total,
+      page,
+      limit,
+      payments: registrations.map((registration) => {
+        const event = eventsById.get(registration.eventId.toString());
+        return {
+          registrationId: registration._id,
+          name: registration.name,
+          email: registration.email,
+          phone: registration.phone,
+          ticketId: registration.ticketId,
+          event: event ? { id: event._id, name: event.name, date: event.date } : null,
+          amount: registration.amountDue ?? (event ? event.fee : null),
+          groupSize: registration.groupSize || 1,
+          paymentId: registration.paymentId,
+          utr: registration.transactionId || null,
+          paymentScreenshot: registration.paymentScreenshot,
+          registrationDate: registration.registrationDate,
+          ageMinutes: Math.floor((now - new Date(registration.registrationDate).getTime()) / 60000),
+          fraudRisk: fraudRisks.get(registration._id.toString()),
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("Error fetching pending payments:", error);
+    res.status(500).json({ message: "Failed to fetch pending payments" });
+  }
+};
+
+// Approves or rejects many payments in one call. Each registration is reviewed on its own,
+// so one failure doesn't stop the rest; emails go out after the response is sent.
+const bulkReviewPayments = async (req, res) => {
+  const { registrationIds, verified, reason } = req.body;
+
+  if (!Array.isArray(registrationIds) || registrationIds.length === 0) {
+    return res.status(400).json({ message: "registrationIds must be a non-empty array" });
+  }
+
+  if (registrationIds.length > MAX_BULK_REVIEW) {
+    return res
+      .status(400)
+      .json({ message: `At most ${MAX_BULK_REVIEW} payments can be reviewed at once` });
+  }
+
+  if (!registrationIds.every(mongoose.isValidObjectId)) {
+    return res.status(400).json({ message: "registrationIds must be registration IDs" });
+  }
+
+  if (reason !== undefined && reason !== null && typeof reason !== "string") {
+    return res.status(400).json({ message: "reason must be a string" });
+  }
+
+  if (!verified && !(reason && reason.trim())) {
+    return res.status(400).json({ message: "A reason is required to reject a payment" });
+  }
+
+  try {
+    const registrations = await Registration.find({ _id: { $in: [...new Set(registrationIds)] } });
+    const registrationsById = new Map(registrations.map((r) => [r.id, r]));
+    const events = await Event.find({
+      _id: { $in: [...new Set(registrations.map((r) => r.eventId.toString()))] },
+    });
+    const eventsById = new Map(events.map((event) => [event.id, event]));
+
+    const results = [];
+    const reviewed = [];
+    for (const registrationId of new Set(registrationIds)) {
+      const registration = registrationsById.get(registrationId);
+      const fail = (message) => results.push({ registrationId, success: false, message });
+
+      if (!registration) {
+        fail("Registration not found");
+        continue;
+      }
+      if (!hasPermission(req.admin, PERMISSIONS.PAYMENTS_VERIFY, registration.eventId)) {
+        fail("You do not have permission to perform this action");
+        continue;
+      }
+      if (registration.cancelledAt) {
+        fail("This registration has been cancelled");
+        continue;
+      }
+      if (registration.groupPayerId) {
+        fail("This attendee's payment is reviewed on their group payer's registration");
+        continue;
+      }
+      if (registration.paymentStatus === "completed") {
+        fail("Payment has already been verified");
+        continue;
+      }
+      if (!verified && registration.paymentStatus === "rejected") {
+        fail("Payment has already been rejected");
+        continue;
+      }
+
+      const event = eventsById.get(registration.eventId.toString());
+      let reviewedRegistration = registration;
+      try {
+        if (verified) {
+          const approved = await approvePayment(event, registration, {
+            verifiedBy: req.admin.email,
+            notify: false,
+          });
+          if (approved.error) {
+            fail(approved.error);
+            continue;
+          }
+          reviewedRegistration = approved.registration;
+        } else {
+          const rejected = await rejectPayment(event, registration, {
+            rejectedBy: req.admin.email,
+            reason: reason.trim(),
+            notify: false,
+          });
+          if (rejected.error) {
+            fail(rejected.error);
+            continue;
+          }
+          reviewedRegistration = rejected.registration;
+        }
+      } catch (error) {
+        console.error("Error reviewing payment:", error);
+        fail("Failed to update payment verification");
+        continue;
+      }
+
+      reviewed.push({ event, registration: reviewedRegistration });
+      results.push({
+        registrationId,
+        success: true,
+        paymentStatus: reviewedRegistration.paymentStatus,
+        ticketId: reviewedRegistration.ticketId,
+      });
+    }
+
+    sendReviewEmailsInBackground(reviewed);
+
+    const succeeded = results.filter((result) => result.success).length;
+    res.json({
+      success: true,
+      message: `${succeeded} of ${results.length} payments ${verified ? "verified" : "rejected"}`,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (error) {
+    console.error("Error reviewing payments in bulk:", error);
+    res.status(500).json({ message: "Failed to update payment verification" });
+  }
+};
+
+module.exports = {
+  getPendingPayments,
+  bulkReviewPayments,
+};
@@ -0,0 +1,63 @@
+const { reconcileStatement } = require("../services/reconciliationService");
+const { parseStatement } = require("../utils/statement");
+const { PERMISSIONS, accessibleEventIds, hasPermission } = require("../config/permissions");
+
+const STATEMENT_FORMATS = ["csv", "xlsx"];
+
+// The statement arrives base64-encoded in the JSON body, like payment screenshots do
+const reconcilePaymentStatement = async (req, res) => {
+  const { file, fileName, eventId, dryRun } = req.body;
+
+  if (!file || !fileName) {
+    return res.status(400).json({ message: "Statement file and file name are required" });
+  }
+
+  const format = fileName.split(".").pop().toLowerCase();
+  if (!STATEMENT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: "Statement must be a .csv or .xlsx file" });
+  }
+
+  if (eventId && !hasPermission(req.admin, PERMISSIONS.PAYMENTS_VERIFY, eventId)) {
+    return res.status(403).json({ message: "You do not have permission to perform this action" });
+  }
+
+  let statement;
+  try {
+    const buffer = Buffer.from(file.split(";base64,").pop(), "base64");
+    statement = await parseStatement(buffer, format);
+  } catch (error) {
+    console.error("Error parsing payment statement:", error);
+    return res.status(400).json({ message: "Could not read the statement file" });
+  }
+
+  if (!statement) {
+    return res.status(400).json({
+      message: "Could not find a header row with amount and description or UTR columns",
+    });
+  }
+
+  try {
+    const result = await reconcileStatement(statement.rows, {
+      eventIds: eventId ? [eventId] : accessibleEventIds(req.admin),
+      verifiedBy: req.admin.email,
+      dryRun: !!dryRun,
+    });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${result.verified.length} payments can be verified automatically`
+        : `${result.verified.length} payments verified from the statement`,
+      totalRows: statement.rows.length,
+      skippedRows: statement.skippedRows,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Error reconciling payment statement:", error);
+    res.status(500).json({ message: "Failed to reconcile payment statement" });
+  }
+};
+
+module.exports = {
+  reconcilePaymentStatement,
+};
@@ -1,9 +1,22 @@
-const QRCode = require("qrcode");
-
 const Event = require("../models/Event");
 const Registration = require("../models/Registration");
-const { sendEmail } = require("../services/emailService");
-const { buildFromAddress } = require("../utils/email");
+const { reserveSeats, releaseSeats } = require("../services/seatService");
+const { resolveTier, tierSummaries } = require("../services/tierService");
+const { parseGroupAttendees, findRegisteredEmail } = require("../services/groupService");
+const {
+  resolveTeamIntent,
+  teamSeats,
+  claimTeamSpot,
+  teamFields,
+  releaseTeamSpot,
+} = require("../services/teamService");
+const {
+  checkRegistrationAnswers,
+  createFreeGroupRegistration,
+  sendRegistrationConfirmation,
+  cancelRegistration: cancelRegistrationRecord,
+} = require("../services/registrationService");
+const { verifyCancellationToken } = require("../utils/ticket");
 
 const checkRegistrationStatus = async (req, res) => {
   try {
@@ -42,7 +55,17 @@ const checkRegistrationStatus = async (req, res) => {
 };
 
 const registerForEvent = async (req, res) => {
-  const { name, email, phone, eventId, customFieldValues } = req.body;
+  const {
+    name,
+    email,
+    phone,
+    eventId,
+    customFieldValues,
+    tierId,
+    attendees: groupAttendees,
+    teamName,
+    teamCode,
+  } = req.body;
 
   try {
     let event = await Event.findById(eventId);
@@ -53,146 +76,197 @@ const registerForEvent = async (req, res) => {
         message: "This is a paid event. Please complete payment to register.",
         isPaid: true,
         fee: event.fee,
+        ticketTiers: tierSummaries(event),
         eventName: event.name,
       });
     }
 
-    const remainingSeats = event.seatLimit - event.registeredUsers;
-    if (remainingSeats <= 0) {
-      return res.status(400).json({ message: "❌ Event is fully booked!" });
+    const { tier, error: tierError } = resolveTier(event, tierId);
+    if (tierError) {
+      return res.status(400).json({ message: tierError });
     }
 
-    const existingRegistration = await Registration.findOne({ email, eventId });
-    if (existingRegistration) {
-      return res.status(400).json({ message: "⚠️ You are already registered!" });
+    // Other attendees registered together with this one
+    const { attendees: listedAttendees, error: groupError } = parseGroupAttendees(
+      groupAttendees,
+      email
+    );
+    if (groupError) {
+      return res.status(400).json({ message: groupError });
     }
 
-    const lastTicket = await Registration.findOne({ eventId })
-      .sort({ ticketId: -1 })
-      .select("ticketId");
-    const newTicketId = lastTicket ? lastTicket.ticketId + 1 : 1;
+    const answers = checkRegistrationAnswers(event, customFieldValues, listedAttendees);
+    if (answers.error) {
+      return res.status(400).json(answers.error);
+    }
+    const { attendees } = answers;
 
-    const ticketData = {
-      name,
-      ticketId: newTicketId,
+    const existingRegistration = await Registration.findOne({
       email,
-      phone: phone || "Not provided",
       eventId,
-      eventName: event.name,
-      venue: event.venue,
-      date: event.date,
-      fee: event.fee,
-      paymentStatus: "Verified",
-      registrationDate: new Date(),
-    };
-
-    const qrImage = await QRCode.toDataURL(JSON.stringify(ticketData), {
-      errorCorrectionLevel: "H",
-      margin: 1,
-      width: 300,
-      color: {
-        dark: "#000000",
-        light: "#FFFFFF",
-      },
+      cancelledAt: { $exists: false },
     });
+    if (existingRegistration) {
+      return res.status(400).json({ message: "⚠️ You are already registered!" });
+    }
 
-    const registration = new Registration({
-      name,
-      email,
-      phone,
-      eventId,
-      ticketId: newTicketId,
-      ticket: qrImage,
-      paymentStatus: "completed",
+    const registeredAttendee =
+      attendees.length > 0 && (await findRegisteredEmail(eventId, attendees.map((a) => a.email)));
+    if (registeredAttendee) {
+      return res
+        .status(400)
+        .json({ message: `⚠️ ${registeredAttendee.email} is already registered!` });
+    }
+
+    // Team events: create a team by name or join one with its code
+    const { intent: teamIntent, error: teamError } = await resolveTeamIntent(event, {
+      teamName,
+      teamCode,
     });
+    if (teamError) {
+      return res.status(400).json({ message: teamError });
+    }
+    if (teamIntent && attendees.length > 0) {
+      return res
+        .status(400)
+        .json({ message: "Team members register individually with their team's join code" });
+    }
 
-    if (customFieldValues) {
-      let processedCustomFields = customFieldValues;
+    const seats = teamIntent ? teamSeats(event, teamIntent) : attendees.length + 1;
+    const reservedEvent = seats > 0 ? await reserveSeats(eventId, seats, tier && tier._id) : event;
+    if (!reservedEvent) {
+      return res.status(400).json({
+        message: tier ? `❌ ${tier.name} tickets are sold out!` : "❌ Event is fully booked!",
+        waitlistEnabled: !!event.waitlistEnabled,
+      });
+    }
+    event = reservedEvent;
+
+    let teamSpot = null;
+    if (teamIntent) {
+      teamSpot = await claimTeamSpot(event, teamIntent, { email, tierId: tier && tier._id });
+      if (teamSpot.error) {
+        if (seats > 0) await releaseSeats(eventId, seats, tier && tier._id);
+        return res.status(400).json({ message: teamSpot.error });
+      }
+    }
 
-      if (typeof customFieldValues === "string") {
-        try {
-          processedCustomFields = JSON.parse(customFieldValues);
-        } catch (e) {
-          console.error("Error parsing customFieldValues JSON string:", e);
-          processedCustomFields = {};
-        }
+    let registrations;
+    try {
+      registrations = await createFreeGroupRegistration(
+        event,
+        {
+          name,
+          email,
+          phone,
+          customFieldValues: answers.customFieldValues,
+          tier,
+          ...(teamSpot && teamFields(teamSpot)),
+        },
+        attendees
+      );
+    } catch (registrationError) {
+      if (teamSpot) await releaseTeamSpot(eventId, teamSpot.team._id);
+      throw registrationError;
+    }
+    const joinCode = teamSpot && teamSpot.role === "captain" ? teamSpot.team.joinCode : undefined;
+    const newTicketId = registrations.map((registration) => `#${registration.ticketId}`).join(", ");
+    const ticketLabel = registrations.length > 1 ? "Ticket IDs" : "Ticket ID";
+
+    // Every attendee gets their own ticket email
+    let emailFailed = false;
+    for (const registration of registrations) {
+      try {
+        await sendRegistrationConfirmation(event, registration, { joinCode });
+      } catch (emailError) {
+        console.error("Error sending registration email:", emailError);
+        emailFailed = true;
       }
+    }
+
+    res.json({
+      message: emailFailed
+        ? `🎉 Registration successful! ${ticketLabel}: ${newTicketId}. Email notification failed, but your registration is confirmed.`
+        : `🎉 Registration successful! ${ticketLabel}: ${newTicketId}. Check your email.`,
+      ticketIds: registrations.map((registration) => registration.ticketId),
+      team: teamSpot
+        ? { id: teamSpot.team._id, name: teamSpot.team.name, role: teamSpot.role, joinCode }
+        : undefined,
+    });
+  } catch (error) {
+    console.error("❌ Error during registration:", error);
+    res.status(500).json({ message: "Registration failed", error });
+  }
+};
+
+// Attendees identify themselves with ticket ID + email or with the signed link from
+// their confirmation email
+const cancelRegistration = async (req, res) => {
+  const { token, ticketId, email, reason } = req.body;
 
-      const customFieldMap = new Map();
-      if (typeof processedCustomFields === "object" && !Array.isArray(processedCustomFields)) {
-        Object.entries(processedCustomFields).forEach(([key, value]) => {
-          if (value !== null && value !== undefined) {
-            customFieldMap.set(key, value);
-          }
-        });
+  try {
+    let registration;
+    if (token) {
+      const signed = verifyCancellationToken(token);
+      if (!signed) {
+        return res.status(400).json({ message: "This cancellation link is invalid" });
       }
+      registration = await Registration.findOne({ _id: signed.registrationId, eventId: signed.eventId });
+    } else if (ticketId && email) {
+      const query = { ticketId: parseInt(ticketId, 10), email: email.trim().toLowerCase() };
+      if (req.body.eventId) query.eventId = req.body.eventId;
+      registration = await Registration.findOne(query);
+    } else {
+      return res
+        .status(400)
+        .json({ message: "Provide either a cancellation link token or ticket ID and email" });
+    }
 
-      registration.customFieldValues = customFieldMap;
+    if (!registration) {
+      return res
+        .status(404)
+        .json({ message: "Registration not found. Please check your ticket ID and email." });
     }
 
-    await registration.save();
+    if (registration.cancelledAt) {
+      return res.status(400).json({ message: "This registration has already been cancelled" });
+    }
 
-    event.registeredUsers += 1;
-    await event.save();
-    event = await Event.findById(eventId);
-
-    const emailContent = `
-        <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: auto;">
-          <h2 style="text-align: center; color: #007bff;">🎉 Congratulations, ${name}! You're Registered! 🎟</h2>
-          <p>Dear <strong>${name}</strong>,</p>
-          <p>We’re thrilled to confirm your registration for <strong>${event.name}</strong>! Get ready for an amazing experience.</p>
-          <h3>📅 Event Details:</h3>
-          <ul>
-            <li><strong>🎫 Ticket ID:</strong> #${newTicketId}</li>
-            <li><strong>📌 Event Name:</strong> ${event.name}</li>
-            <li><strong>📅 Date:</strong> ${event.date}</li>
-            <li><strong>📝 Description:</strong> ${event.description}</li>
-            <li><strong>📍 Venue:</strong> ${event.venue}</li>
-            ${!event.isFree ? `<li><strong>💰 Fee:</strong> ₹${event.fee}</li>` : ""}
-          </ul>
-          <p>Attached below is your unique event ticket (QR Code). Please bring it with you for entry.</p>
-          <h3>📌 Stay Connected:</h3>
-          <p>Follow us for updates and behind-the-scenes content:</p>
-          <p>
-            🔗 <a href="https://www.linkedin.com/company/yellowmatics" target="_blank">LinkedIn</a> |
-            📸 <a href="https://www.instagram.com/yellowmatics.ai/" target="_blank">Instagram</a> |
-            💬 <a href="https://bit.ly/YMWhatsapp" target="_blank">WhatsApp</a>
-          </p>
-          <p>If you have any questions, feel free to reply to this email. We can't wait to see you at the event! 🎊</p>
-          <p style="text-align: center; font-weight: bold;">🚀 See you soon! 🚀</p>
-        </div>
-      `;
-
-    const emailUser = event.emailForNotifications || process.env.EMAIL_USER;
-    const mailOptions = {
-      from: buildFromAddress(emailUser),
-      to: email,
-      subject: `Registration Confirmed - ${event.name} | Ticket #${newTicketId}`,
-      html: emailContent,
-      attachments: [
-        {
-          filename: "ticket.png",
-          content: qrImage.split(";base64,").pop(),
-          encoding: "base64",
-          cid: "ticketQR",
-        },
-      ],
-    };
+    if (registration.checkedInAt) {
+      return res.status(400).json({ message: "Checked-in registrations cannot be cancelled" });
+    }
 
-    try {
-      await sendEmail(event, mailOptions);
-      res.json({
-        message: `🎉 Registration successful! Ticket ID: #${newTicketId}. Check your email.`,
-      });
-    } catch (emailError) {
-      console.error("Error sending registration email:", emailError);
-      res.json({
-        message: `🎉 Registration successful! Ticket ID: #${newTicketId}. Email notification failed, but your registration is confirmed.`,
+    const event = await Event.findById(registration.eventId);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    if (event.cancellationDeadline && new Date() > event.cancellationDeadline) {
+      return res.status(400).json({
+        message: "The cancellation deadline for this event has passed",
+        cancellationDeadline: event.cancellationDeadline,
       });
     }
+
+    const cancelled = await cancelRegistrationRecord(event, registration, {
+      cancelledBy: "attendee",
+      reason,
+    });
+    if (!cancelled) {
+      return res.status(400).json({ message: "This registration has already been cancelled" });
+    }
+
+    res.json({
+      success: true,
+      message:
+        cancelled.refundStatus === "requested"
+          ? "Your registration has been cancelled and a refund has been requested."
+          : "Your registration has been cancelled.",
+      refundStatus: cancelled.refundStatus,
+    });
   } catch (error) {
-    console.error("❌ Error during registration:", error);
-    res.status(500).json({ message: "Registration failed", error });
+    console.error("Error cancelling registration:", error);
+    res.status(500).json({ message: "Failed to cancel registration" });
   }
 };
 
@@ -238,6 +312,7 @@ const createTestRegistration = async (req, res) => {
 module.exports = {
   checkRegistrationStatus,
   registerForEvent,
+  cancelRegistration,
   createTestRegistration,
 };
 
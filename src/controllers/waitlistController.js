@@ -0,0 +1,301 @@
+const mongoose = require("mongoose");
+
+const Event = require("../models/Event");
+const Registration = require("../models/Registration");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { availableSeats, convertHold, releaseHold } = require("../services/seatService");
+const { buildUpiPayment } = require("../services/upiService");
+const {
+  checkRegistrationAnswers,
+  uploadRegistrationFiles,
+  createFreeRegistration,
+  sendRegistrationConfirmation,
+} = require("../services/registrationService");
+const { nextWaitlistPosition, triggerWaitlistPromotion } = require("../services/waitlistService");
+const { formVersionOf } = require("../services/formService");
+const { findTier, tierPrice, resolveTier } = require("../services/tierService");
+const { hashToken } = require("../utils/tokens");
+
+const joinWaitlist = async (req, res) => {
+  const { eventId, name, email, phone, customFieldValues, tierId } = req.body;
+
+  if (!eventId || !name || !email) {
+    return res.status(400).json({ message: "Event, name and email are required" });
+  }
+
+  try {
+    const event = await Event.findById(eventId);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    if (!event.waitlistEnabled) {
+      return res.status(400).json({ message: "This event does not have a waitlist" });
+    }
+
+    const { tier, error: tierError } = resolveTier(event, tierId);
+    if (tierError) {
+      return res.status(400).json({ message: tierError });
+    }
+
+    if (availableSeats(event, tier) > 0) {
+      return res.status(400).json({ message: "Seats are still available. Please register directly." });
+    }
+
+    // Answers are checked now since the registration is created from them later
+    const answers = checkRegistrationAnswers(event, customFieldValues);
+    if (answers.error) {
+      return res.status(400).json(answers.error);
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existingRegistration = await Registration.findOne({
+      email: normalizedEmail,
+      eventId,
+      cancelledAt: { $exists: false },
+    });
+    if (existingRegistration) {
+      return res.status(400).json({ message: "⚠️ You are already registered!" });
+    }
+
+    const existingEntry = await WaitlistEntry.findOne({
+      eventId,
+      email: normalizedEmail,
+      status: { $in: ["waiting", "offered"] },
+    });
+    if (existingEntry) {
+      return res.status(400).json({
+        message: "⚠️ You are already on the waitlist",
+        position: existingEntry.position,
+      });
+    }
+
+    // Files are only uploaded once nothing else can turn the attendee away
+    const { customFieldValues: uploadedValues } = await uploadRegistrationFiles(event, answers);
+
+    const entry = await WaitlistEntry.create({
+      eventId,
+      name,
+      email: normalizedEmail,
+      phone,
+      customFieldValues: uploadedValues,
+      formVersion: formVersionOf(event),
+      tierId: tier ? tier._id : undefined,
+      tierName: tier ? tier.name : undefined,
+      position: await nextWaitlistPosition(eventId),
+    });
+
+    const ahead = await WaitlistEntry.countDocuments({
+      eventId,
+      status: "waiting",
+      position: { $lt: entry.position },
+    });
+
+    res.status(201).json({
+      message: `📝 You're on the waitlist! We'll email you if a seat opens up.`,
+      entryId: entry._id,
+      peopleAhead: ahead,
+    });
+  } catch (error) {
+    console.error("Error joining waitlist:", error);
+    res.status(500).json({ message: "Failed to join waitlist" });
+  }
+};
+
+const claimWaitlistOffer = async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ message: "Claim token is required" });
+  }
+
+  try {
+    const entry = await WaitlistEntry.findOne({ claimTokenHash: hashToken(token), status: "offered" });
+    if (!entry) {
+      return res.status(400).json({ message: "This claim link is invalid or has already been used" });
+    }
+
+    if (entry.offerExpiresAt <= new Date()) {
+      return res.status(410).json({ message: "This offer has expired" });
+    }
+
+    const event = await Event.findById(entry.eventId);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const attendee = {
+      name: entry.name,
+      email: entry.email,
+      phone: entry.phone,
+      customFieldValues: Object.fromEntries(entry.customFieldValues || new Map()),
+      formVersion: entry.formVersion,
+    };
+    const tier = entry.tierId ? findTier(event, entry.tierId) : null;
+
+    // Paid events continue into the normal UPI flow. The entry stays on offer, with the seat
+    // hold attached to its transaction reference, until the payment screenshot converts the
+    // hold; an attendee who never pays loses the offer when it expires.
+    if (!event.isFree) {
+      const payment = await buildUpiPayment(event, {
+        transactionRef: entry.transactionRef,
+        amount: tierPrice(event, tier),
+      });
+      return res.json({
+        success: true,
+        isPaid: true,
+        ...payment,
+        holdExpiresAt: entry.offerExpiresAt,
+        eventDetails: {
+          name: event.name,
+          fee: event.fee,
+          date: event.date,
+          venue: event.venue,
+          upiId: event.upiId,
+          phoneNumber: event.phoneNumber,
+        },
+        registrationData: {
+          ...attendee,
+          eventId: event._id,
+          paymentStatus: "pending",
+          paymentId: entry.transactionRef,
+          paymentMethod: "upi",
+          tierId: entry.tierId,
+          tierName: entry.tierName,
+        },
+      });
+    }
+
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: "offered" },
+      { $set: { status: "claimed", claimedAt: new Date() }, $unset: { claimTokenHash: "" } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ message: "This claim link is invalid or has already been used" });
+    }
+
+    const reservedEvent = await convertHold(event._id, claimed.transactionRef, claimed.tierId);
+    if (!reservedEvent) {
+      return res.status(400).json({ message: "❌ Sorry, this seat is no longer available" });
+    }
+
+    const registration = await createFreeRegistration(reservedEvent, { ...attendee, tier });
+
+    try {
+      await sendRegistrationConfirmation(reservedEvent, registration);
+    } catch (emailError) {
+      console.error("Error sending registration email:", emailError);
+    }
+
+    res.json({
+      success: true,
+      message: `🎉 Registration successful! Ticket ID: #${registration.ticketId}. Check your email.`,
+      ticketId: registration.ticketId,
+    });
+  } catch (error) {
+    console.error("Error claiming waitlist offer:", error);
+    res.status(500).json({ message: "Failed to claim waitlist offer" });
+  }
+};
+
+const getWaitlist = async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const event = await Event.findById(eventId);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    const entries = await WaitlistEntry.find({ eventId })
+      .select("-claimTokenHash")
+      .sort({ position: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      waitlistEnabled: event.waitlistEnabled,
+      waiting: entries.filter((entry) => entry.status === "waiting").length,
+      offered: entries.filter((entry) => entry.status === "offered").length,
+      entries,
+    });
+  } catch (error) {
+    console.error("Error fetching waitlist:", error);
+    res.status(500).json({ message: "Failed to fetch waitlist" });
+  }
+};
+
+// Accepts the waiting entries' IDs in their new order and renumbers them from 1
+const reorderWaitlist = async (req, res) => {
+  const { eventId } = req.params;
+  const { entryIds } = req.body;
+
+  if (!Array.isArray(entryIds) || !entryIds.every(mongoose.isValidObjectId)) {
+    return res.status(400).json({ message: "entryIds must be an array of waitlist entry IDs" });
+  }
+
+  try {
+    const waiting = await WaitlistEntry.find({ eventId, status: "waiting" }).select("_id");
+    const waitingIds = new Set(waiting.map((entry) => entry._id.toString()));
+
+    const isPermutation =
+      new Set(entryIds).size === entryIds.length &&
+      entryIds.length === waitingIds.size &&
+      entryIds.every((id) => waitingIds.has(id));
+    if (!isPermutation) {
+      return res
+        .status(400)
+        .json({ message: "entryIds must list every waiting entry for this event exactly once" });
+    }
+
+    await WaitlistEntry.bulkWrite(
+      entryIds.map((id, index) => ({
+        updateOne: {
+          filter: { _id: id, eventId, status: "waiting" },
+          update: { $set: { position: index + 1 } },
+        },
+      }))
+    );
+
+    const entries = await WaitlistEntry.find({ eventId, status: "waiting" })
+      .select("-claimTokenHash")
+      .sort({ position: 1 });
+
+    res.json({ success: true, message: "Waitlist reordered", entries });
+  } catch (error) {
+    console.error("Error reordering waitlist:", error);
+    res.status(500).json({ message: "Failed to reorder waitlist" });
+  }
+};
+
+const removeWaitlistEntry = async (req, res) => {
+  const { eventId, entryId } = req.params;
+
+  try {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: entryId, eventId, status: { $in: ["waiting", "offered"] } },
+      { $set: { status: "removed" }, $unset: { claimTokenHash: "" } },
+      { new: false }
+    );
+    if (!entry) {
+      return res.status(404).json({ message: "Waitlist entry not found" });
+    }
+
+    // Withdrawing an outstanding offer frees its seat for the next person
+    if (entry.status === "offered" && entry.transactionRef) {
+      await releaseHold(entry.transactionRef);
+      triggerWaitlistPromotion(eventId);
+    }
+
+    res.json({ success: true, message: "Removed from waitlist" });
+  } catch (error) {
+    console.error("Error removing waitlist entry:", error);
+    res.status(500).json({ message: "Failed to remove waitlist entry" });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  claimWaitlistOffer,
+  getWaitlist,
+  reorderWaitlist,
+  removeWaitlistEntry,
+};
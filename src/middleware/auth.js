@@ -0,0 +1,132 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+const Admin = require("../models/Admin");
+const Coupon = require("../models/Coupon");
+const Registration = require("../models/Registration");
+const { hasPermission } = require("../config/permissions");
+const { findActiveSession } = require("../services/sessionService");
+const { verifyTicketToken } = require("../utils/ticket");
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) return null;
+  return token;
+};
+
+const ADMIN_PUBLIC_FIELDS =
+  "-password -passwordResetTokenHash -passwordResetExpires -twoFactorSecret -twoFactorPendingSecret -backupCodeHashes";
+
+// Resolves the admin behind the request's access token. Resolves to { admin, session }
+// on success or { status, message } describing why the request must be rejected.
+const authenticate = async (req) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return { status: 401, message: "Authentication required" };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    const message = error.name === "TokenExpiredError" ? "Token expired" : "Invalid token";
+    return { status: 401, message };
+  }
+
+  const session = await findActiveSession(decoded.sid);
+  if (!session || !session.admin.equals(decoded.adminId)) {
+    return { status: 401, message: "Session has expired or been revoked" };
+  }
+
+  const admin = await Admin.findById(decoded.adminId).select(ADMIN_PUBLIC_FIELDS);
+  if (!admin) {
+    return { status: 403, message: "Admin account no longer exists" };
+  }
+
+  if (admin.disabled) {
+    return { status: 403, message: "Admin account is disabled" };
+  }
+
+  return { admin, session };
+};
+
+// Verifies the admin access token and attaches the admin and session to the request
+const requireAdmin = async (req, res, next) => {
+  try {
+    const { admin, session, status, message } = await authenticate(req);
+    if (!admin) {
+      return res.status(status).json({ message });
+    }
+
+    req.admin = admin;
+    req.adminSession = session;
+    next();
+  } catch (error) {
+    console.error("Error authenticating admin:", error);
+    res.status(500).json({ message: "Failed to authenticate admin" });
+  }
+};
+
+// Resolves the event an admin route acts on from its URL parameters
+const eventFromParams = (req) => req.params.eventId || req.params.id;
+
+// Resolves the event of the registration named in the request body
+const eventFromRegistration = async (req) => {
+  const { registrationId } = req.body;
+  if (!mongoose.isValidObjectId(registrationId)) return null;
+
+  const registration = await Registration.findById(registrationId).select("eventId");
+  return registration ? registration.eventId : null;
+};
+
+// Resolves the event a signed ticket in the request body belongs to
+const eventFromTicket = (req) => {
+  const ticket = verifyTicketToken(req.body.token);
+  return ticket ? ticket.eventId : null;
+};
+
+// Resolves the event named in the request body or query string, if any
+const eventFromRequest = (req) => req.body.eventId || req.query.eventId || null;
+
+// Resolves the event of the coupon in the URL, or the one named in the request for new
+// coupons. Global coupons resolve to null.
+const eventFromCoupon = async (req) => {
+  const { couponId } = req.params;
+  if (!couponId) return req.body.eventId || req.query.eventId || null;
+  if (!mongoose.isValidObjectId(couponId)) return null;
+
+  const coupon = await Coupon.findById(couponId).select("eventId");
+  return coupon ? coupon.eventId : null;
+};
+
+// Must run after requireAdmin. `resolveEventId` may be async and return null when
+// the target does not exist, in which case the controller reports the 404 itself.
+const requirePermission = (permission, resolveEventId) => async (req, res, next) => {
+  try {
+    const eventId = resolveEventId ? await resolveEventId(req) : null;
+
+    if (!hasPermission(req.admin, permission, eventId)) {
+      return res.status(403).json({ message: "You do not have permission to perform this action" });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Error checking admin permission:", error);
+    res.status(500).json({ message: "Failed to check permissions" });
+  }
+};
+
+module.exports = {
+  ADMIN_PUBLIC_FIELDS,
+  getBearerToken,
+  authenticate,
+  requireAdmin,
+  eventFromParams,
+  eventFromRegistration,
+  eventFromTicket,
+  eventFromCoupon,
+  eventFromRequest,
+  requirePermission,
+};
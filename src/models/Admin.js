@@ -1,10 +1,34 @@
 const mongoose = require("mongoose");
 
+const { ROLES } = require("../config/permissions");
+
 const adminSchema = new mongoose.Schema({
   name: String,
-  email: { type: String, unique: true },
+  // Stored lowercase; older accounts are normalized at startup (see migrationService)
+  email: { type: String, unique: true, lowercase: true, trim: true },
   password: String,
+  // Accounts created before roles existed had full access, so they default to owner
+  role: { type: String, enum: Object.values(ROLES), default: ROLES.OWNER },
+  // Events this admin is limited to; empty means every event
+  events: [{ type: mongoose.Schema.Types.ObjectId, ref: "Event" }],
+  disabled: { type: Boolean, default: false },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  // Set on the owner created by the sign-up bootstrap; unique, so only one sign-up can win
+  bootstrapOwner: Boolean,
+  passwordResetTokenHash: String,
+  passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  twoFactorEnabled: { type: Boolean, default: false },
+  // TOTP secrets and hashed backup codes are never returned unless explicitly selected
+  twoFactorSecret: { type: String, select: false },
+  twoFactorPendingSecret: { type: String, select: false },
+  backupCodeHashes: { type: [String], select: false },
+  createdAt: { type: Date, default: Date.now },
 });
 
-module.exports = mongoose.model("Admin", adminSchema);
+adminSchema.index(
+  { bootstrapOwner: 1 },
+  { unique: true, partialFilterExpression: { bootstrapOwner: true } }
+);
 
+module.exports = mongoose.model("Admin", adminSchema);
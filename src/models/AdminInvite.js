@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+const { ROLES } = require("../config/permissions");
+
+const adminInviteSchema = new mongoose.Schema({
+  name: String,
+  email: { type: String, required: true, lowercase: true, trim: true },
+  role: { type: String, enum: Object.values(ROLES), default: ROLES.VIEWER },
+  events: [{ type: mongoose.Schema.Types.ObjectId, ref: "Event" }],
+  // Only the SHA-256 hash of the one-time token is stored
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: Date,
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("AdminInvite", adminInviteSchema);
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// One document per login. The refresh token is rotated in place on every refresh and
+// only its SHA-256 hash is kept; earlier hashes are retained to detect token reuse.
+const adminSessionSchema = new mongoose.Schema({
+  admin: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", required: true, index: true },
+  refreshTokenHash: { type: String, required: true, unique: true },
+  previousTokenHashes: { type: [String], index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: String,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("AdminSession", adminSessionSchema);
@@ -0,0 +1,9 @@
+const mongoose = require("mongoose");
+
+// Named monotonic sequences, e.g. "ticket:<eventId>" for per-event ticket numbers
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: { type: Number, default: 0 },
+});
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// A discount code for paid events. Codes without an eventId apply to every paid event.
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event" },
+  discountType: { type: String, enum: ["percent", "flat"], required: true },
+  // A percentage (0-100] for "percent" codes, rupees off the fee for "flat" codes
+  discountValue: { type: Number, required: true },
+  // Leave unset for no limit
+  maxUses: Number,
+  perEmailLimit: Number,
+  usedCount: { type: Number, default: 0 },
+  startsAt: Date,
+  expiresAt: Date,
+  active: { type: Boolean, default: true },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+couponSchema.index({ eventId: 1 });
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// How many uses of a coupon code one email currently has, so the per-email limit can be
+// checked and taken in a single atomic update. A use is taken when checkout starts and given
+// back if the checkout lapses or the registration is cancelled.
+const couponRedemptionSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  email: { type: String, required: true },
+  uses: { type: Number, default: 0 },
+});
+
+couponRedemptionSchema.index({ code: 1, email: 1 }, { unique: true });
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+const { DEFAULT_EMAIL_TEMPLATES } = require("../config/emailTemplates");
+
+// An admin's replacement for one of the built-in email templates. Templates without an
+// eventId apply to every event that doesn't override them itself.
+const emailTemplateSchema = new mongoose.Schema({
+  name: { type: String, enum: Object.keys(DEFAULT_EMAIL_TEMPLATES), required: true },
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", default: null },
+  subject: { type: String, required: true },
+  html: { type: String, required: true },
+  updatedBy: String,
+  updatedAt: { type: Date, default: Date.now },
+});
+
+emailTemplateSchema.index({ name: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model("EmailTemplate", emailTemplateSchema);
@@ -1,16 +1,71 @@
 const mongoose = require("mongoose");
 
+const { FIELD_TYPES } = require("../utils/customFields");
+const { MAIL_TRANSPORTS } = require("../config/constants");
+
+// A question on the event's registration form. min/max bound a number's value, the length
+// of text answers, how many options a multiselect takes, a rating's scale and a file's size
+// in MB, depending on the type.
 const customFieldSchema = new mongoose.Schema(
   {
+    // Stays the same when the field is renamed or edited; fields saved before forms were
+    // versioned don't have one and are identified by their name
+    fieldId: String,
     fieldName: String,
     fieldType: {
       type: String,
-      enum: ["text", "email", "number", "date", "select", "checkbox"],
+      enum: FIELD_TYPES,
       default: "text",
     },
     isRequired: { type: Boolean, default: false },
     options: [String],
     placeholder: String,
+    helpText: String,
+    order: Number,
+    min: Number,
+    max: Number,
+    pattern: String,
+    // Only asked when the answer to an earlier field is one of `values`
+    showWhen: {
+      type: new mongoose.Schema({ fieldName: String, values: [String] }, { _id: false }),
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+// The registration form as it stood at one version. Registrations record the version they
+// were submitted against, so answers to renamed or removed fields can still be matched up.
+const formVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    fields: [customFieldSchema],
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A ticket type such as Early Bird or VIP. Its seats count towards the event's seatLimit
+// as well as its own optional quota.
+const ticketTierSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: String,
+  price: { type: Number, default: 0 },
+  seatQuota: Number,
+  registeredCount: { type: Number, default: 0 },
+  heldCount: { type: Number, default: 0 },
+  salesStart: Date,
+  salesEnd: Date,
+});
+
+// Hackathon-style team registration: the first registrant creates a team and teammates join
+// it with its code. With countSeatsByTeam each team takes a single seat however big it is.
+const teamSettingsSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    minSize: { type: Number, default: 1 },
+    maxSize: Number,
+    countSeatsByTeam: { type: Boolean, default: false },
   },
   { _id: false }
 );
@@ -22,17 +77,27 @@ const eventSchema = new mongoose.Schema({
   venue: String,
   seatLimit: Number,
   registeredUsers: { type: Number, default: 0 },
+  // Seats set aside by active UPI checkout holds (see SeatHold)
+  heldSeats: { type: Number, default: 0 },
   isFree: { type: Boolean, default: true },
   fee: { type: Number, default: 0 },
   featured: { type: Boolean, default: false },
+  waitlistEnabled: { type: Boolean, default: false },
+  // Attendees may cancel their own registration until this moment; unset means any time
+  cancellationDeadline: Date,
   upiId: String,
   phoneNumber: String,
   emailForNotifications: String,
-  appPassword: String,
-  oauth2RefreshToken: String,
-  oauth2ClientId: String,
-  oauth2ClientSecret: String,
+  // How the event's emails are sent; unset means the MAIL_TRANSPORT default (see emailService)
+  mailTransport: { type: String, enum: MAIL_TRANSPORTS },
+  // SMTP app password, only loaded when sending (see MAIL_CREDENTIAL_FIELDS)
+  appPassword: { type: String, select: false },
   customFields: [customFieldSchema],
+  // Version of customFields; bumped on every change to the form (see formService)
+  formVersion: { type: Number, default: 1 },
+  formVersions: [formVersionSchema],
+  ticketTiers: [ticketTierSchema],
+  teamSettings: teamSettingsSchema,
 });
 
 module.exports = mongoose.model("Event", eventSchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    filename: String,
+    content: String,
+    encoding: String,
+    contentType: String,
+    cid: String,
+  },
+  { _id: false }
+);
+
+// One attempt to hand the email to the mail provider
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: { type: Date, default: Date.now },
+    status: { type: String, enum: ["sent", "failed"] },
+    providerMessageId: String,
+    error: String,
+  },
+  { _id: false }
+);
+
+// An email waiting to be sent, or the record of one that was. The outbox worker sends queued
+// emails and retries failures with exponential backoff (see outboxService).
+const outboxEmailSchema = new mongoose.Schema({
+  // Unset for emails not tied to an event, which go out from EMAIL_USER
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event" },
+  registrationId: { type: mongoose.Schema.Types.ObjectId, ref: "Registration" },
+  // The email template it was rendered from, for telling emails apart in the delivery log
+  template: String,
+  from: String,
+  to: { type: String, required: true },
+  subject: String,
+  html: String,
+  text: String,
+  attachments: [attachmentSchema],
+  status: {
+    type: String,
+    enum: ["queued", "sending", "sent", "failed"],
+    default: "queued",
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  // A send that hasn't finished by then is assumed lost with its worker and tried again
+  lockedUntil: Date,
+  providerMessageId: String,
+  lastError: String,
+  sentAt: Date,
+  deliveryLog: [deliveryAttemptSchema],
+  createdAt: { type: Date, default: Date.now },
+});
+
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEmailSchema.index({ eventId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("OutboxEmail", outboxEmailSchema);
@@ -1,5 +1,16 @@
 const mongoose = require("mongoose");
 
+const statusChangeSchema = new mongoose.Schema(
+  {
+    status: String,
+    changedAt: { type: Date, default: Date.now },
+    changedBy: String,
+    note: String,
+    paymentScreenshot: String,
+  },
+  { _id: false }
+);
+
 const registrationSchema = new mongoose.Schema({
   name: String,
   email: String,
@@ -7,21 +18,73 @@ const registrationSchema = new mongoose.Schema({
   eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event" },
   paymentStatus: { type: String, default: "pending" },
   paymentId: String,
+  // UTR the attendee reported for their UPI payment
+  transactionId: String,
+  // What the attendee was asked to pay, and what a reconciled bank statement showed
+  amountDue: Number,
+  statementAmount: Number,
+  couponCode: String,
+  // Ticket tier at the time of registration; the name is kept in case the tier is renamed
+  tierId: mongoose.Schema.Types.ObjectId,
+  tierName: String,
+  // Group orders: the payer's registration carries the payment for the whole group and
+  // records its size; every other attendee's registration points back to it
+  groupSize: Number,
+  groupPayerId: { type: mongoose.Schema.Types.ObjectId, ref: "Registration" },
+  // Team events: the team joined or created, kept by name too for emails and exports.
+  // seatHeldByTeam means the team's single seat covers this attendee (see Team.holdsSeat).
+  teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team" },
+  teamName: String,
+  teamRole: { type: String, enum: ["captain", "member"] },
+  seatHeldByTeam: Boolean,
   paymentMethod: String,
   paymentScreenshot: String,
+  // Perceptual hash of the payment screenshot, used to spot the same image reused elsewhere,
+  // and its bands for looking up similar hashes (see hashBands)
+  screenshotHash: String,
+  screenshotHashBands: { type: [String], default: undefined },
   ticketId: { type: Number, default: 0 },
   ticket: String,
   isPaidEvent: { type: Boolean, default: false },
   paymentVerified: { type: Boolean, default: false },
   verificationDate: Date,
   verifiedBy: String,
+  rejectionReason: String,
+  rejectedAt: Date,
+  rejectedBy: String,
+  // Set once a rejected registration's grace period ends and its seat is given back
+  seatReleasedAt: Date,
+  statusHistory: [statusChangeSchema],
   registrationDate: { type: Date, default: Date.now },
+  checkedInAt: Date,
+  checkedInBy: String,
+  checkInMethod: { type: String, enum: ["qr", "manual"] },
+  cancelledAt: Date,
+  cancelledBy: String,
+  cancellationReason: String,
+  // Set when a cancelled registration had been paid for
+  refundStatus: { type: String, enum: ["requested", "refunded"] },
   customFieldValues: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
     default: () => new Map(),
   },
+  // Version of the event's form the answers were given against; unset means the first
+  formVersion: Number,
 });
 
+// Pending UPI registrations carry ticketId 0 until a number is allocated
+registrationSchema.index(
+  { eventId: 1, ticketId: 1 },
+  { unique: true, partialFilterExpression: { ticketId: { $gt: 0 } } }
+);
+registrationSchema.index({ eventId: 1, checkedInAt: 1 });
+registrationSchema.index({ paymentStatus: 1, rejectedAt: 1 });
+registrationSchema.index({ paymentStatus: 1, registrationDate: 1 });
+registrationSchema.index({ transactionId: 1 }, { sparse: true });
+registrationSchema.index({ groupPayerId: 1 }, { sparse: true });
+registrationSchema.index({ teamId: 1 }, { sparse: true });
+registrationSchema.index({ screenshotHashBands: 1 }, { sparse: true });
+
 module.exports = mongoose.model("Registration", registrationSchema);
 
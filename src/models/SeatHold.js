@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// The other attendees of a group order, registered once the payer uploads their screenshot
+const groupAttendeeSchema = new mongoose.Schema(
+  {
+    name: String,
+    email: String,
+    phone: String,
+    customFieldValues: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// A seat temporarily set aside while an attendee completes a UPI payment. Active holds are
+// mirrored in Event.heldSeats so that seat reservation stays a single atomic update.
+const seatHoldSchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  transactionRef: { type: String, required: true, unique: true },
+  email: String,
+  seats: { type: Number, default: 1 },
+  // What the attendee was quoted at checkout, so the amount can't be changed client-side
+  amount: Number,
+  couponCode: String,
+  tierId: mongoose.Schema.Types.ObjectId,
+  // The checkout's own form answers once its files are uploaded, so the screenshot upload can
+  // only send back the file URLs uploaded here
+  customFieldValues: mongoose.Schema.Types.Mixed,
+  attendees: [groupAttendeeSchema],
+  // Team events: the team to create, or the one to join, once the registration exists
+  teamName: String,
+  teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team" },
+  status: {
+    type: String,
+    enum: ["active", "converted", "released", "expired"],
+    default: "active",
+  },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+seatHoldSchema.index({ status: 1, expiresAt: 1 });
+seatHoldSchema.index({ eventId: 1, email: 1, status: 1 });
+
+module.exports = mongoose.model("SeatHold", seatHoldSchema);
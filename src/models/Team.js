@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// A team registered for a team event. Members are the registrations pointing at it;
+// memberCount mirrors the active ones so joining can be checked against the size limit
+// in a single atomic update.
+const teamSchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  name: { type: String, required: true, trim: true },
+  // Lowercased name, so team names are unique per event regardless of case
+  nameKey: { type: String, required: true },
+  joinCode: { type: String, required: true, unique: true },
+  memberCount: { type: Number, default: 0 },
+  // The team holds one of the event's seats for all its members, taken in this tier
+  holdsSeat: { type: Boolean, default: false },
+  tierId: mongoose.Schema.Types.ObjectId,
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+teamSchema.index({ eventId: 1, nameKey: 1 }, { unique: true });
+
+module.exports = mongoose.model("Team", teamSchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+const waitlistEntrySchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: "Event", required: true },
+  name: String,
+  email: { type: String, lowercase: true, trim: true },
+  phone: String,
+  customFieldValues: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: () => new Map(),
+  },
+  formVersion: Number,
+  // Ticket tier the attendee is waiting for; the name is kept in case the tier is renamed
+  tierId: mongoose.Schema.Types.ObjectId,
+  tierName: String,
+  // Lower positions are promoted first; admins may reorder
+  position: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ["waiting", "offered", "claimed", "expired", "removed"],
+    default: "waiting",
+  },
+  // Set while a seat is on offer: the seat hold reference and the hashed claim token
+  transactionRef: String,
+  claimTokenHash: String,
+  offeredAt: Date,
+  offerExpiresAt: Date,
+  claimedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+waitlistEntrySchema.index({ eventId: 1, status: 1, position: 1 });
+waitlistEntrySchema.index({ claimTokenHash: 1 }, { sparse: true });
+waitlistEntrySchema.index({ transactionRef: 1 }, { sparse: true });
+
+module.exports = mongoose.model("WaitlistEntry", waitlistEntrySchema);
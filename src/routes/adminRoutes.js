@@ -6,13 +6,82 @@ const {
   verifyToken,
   verifyPayment,
 } = require("../controllers/adminController");
+const {
+  createInvite,
+  acceptInvite,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  listAdmins,
+  updateAdminAccess,
+  setAdminStatus,
+  deleteAdmin,
+} = require("../controllers/adminAccountController");
+const {
+  refreshSession,
+  logout,
+  logoutAll,
+  listSessions,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} = require("../controllers/adminSessionController");
+const { reconcilePaymentStatement } = require("../controllers/reconciliationController");
+const {
+  getPendingPayments,
+  bulkReviewPayments,
+} = require("../controllers/paymentReviewController");
+const { requireAdmin, requirePermission, eventFromRegistration } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/permissions");
 
 const router = express.Router();
 
+const canManageAdmins = [requireAdmin, requirePermission(PERMISSIONS.ADMINS_MANAGE)];
+
 router.post("/register", registerAdmin);
 router.post("/login", loginAdmin);
 router.get("/verify-token", verifyToken);
-router.post("/verify-payment", verifyPayment);
+router.post("/refresh", refreshSession);
+router.post("/logout", requireAdmin, logout);
+router.post("/logout-all", requireAdmin, logoutAll);
+router.get("/sessions", requireAdmin, listSessions);
+router.post("/2fa/setup", requireAdmin, setupTwoFactor);
+router.post("/2fa/enable", requireAdmin, enableTwoFactor);
+router.post("/2fa/disable", requireAdmin, disableTwoFactor);
+router.post("/2fa/backup-codes", requireAdmin, regenerateBackupCodes);
+router.post("/invites/accept", acceptInvite);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/change-password", requireAdmin, changePassword);
+router.post(
+  "/verify-payment",
+  requireAdmin,
+  requirePermission(PERMISSIONS.PAYMENTS_VERIFY, eventFromRegistration),
+  verifyPayment
+);
+router.get(
+  "/payments/pending",
+  requireAdmin,
+  requirePermission(PERMISSIONS.PAYMENTS_VERIFY),
+  getPendingPayments
+);
+router.post(
+  "/payments/bulk-verify",
+  requireAdmin,
+  requirePermission(PERMISSIONS.PAYMENTS_VERIFY),
+  bulkReviewPayments
+);
+router.post(
+  "/payments/reconcile",
+  requireAdmin,
+  requirePermission(PERMISSIONS.PAYMENTS_VERIFY),
+  reconcilePaymentStatement
+);
+router.post("/invites", canManageAdmins, createInvite);
+router.get("/admins", canManageAdmins, listAdmins);
+router.put("/admins/:adminId/access", canManageAdmins, updateAdminAccess);
+router.put("/admins/:adminId/status", canManageAdmins, setAdminStatus);
+router.delete("/admins/:adminId", canManageAdmins, deleteAdmin);
 
 module.exports = router;
-
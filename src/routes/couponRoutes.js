@@ -0,0 +1,21 @@
+const express = require("express");
+
+const {
+  createCoupon,
+  listCoupons,
+  updateCoupon,
+  deleteCoupon,
+} = require("../controllers/couponController");
+const { requireAdmin, requirePermission, eventFromCoupon } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+const canManageCoupons = [requireAdmin, requirePermission(PERMISSIONS.EVENTS_UPDATE, eventFromCoupon)];
+
+router.get("/", canManageCoupons, listCoupons);
+router.post("/", canManageCoupons, createCoupon);
+router.put("/:couponId", canManageCoupons, updateCoupon);
+router.delete("/:couponId", canManageCoupons, deleteCoupon);
+
+module.exports = router;
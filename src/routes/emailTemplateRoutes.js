@@ -0,0 +1,21 @@
+const express = require("express");
+
+const {
+  listEmailTemplates,
+  updateEmailTemplate,
+  resetEmailTemplate,
+  previewEmailTemplate,
+} = require("../controllers/emailTemplateController");
+const { requireAdmin, requirePermission, eventFromRequest } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+const canManageTemplates = [requireAdmin, requirePermission(PERMISSIONS.EVENTS_UPDATE, eventFromRequest)];
+
+router.get("/", canManageTemplates, listEmailTemplates);
+router.put("/:name", canManageTemplates, updateEmailTemplate);
+router.delete("/:name", canManageTemplates, resetEmailTemplate);
+router.post("/:name/preview", canManageTemplates, previewEmailTemplate);
+
+module.exports = router;
@@ -8,17 +8,101 @@ const {
   getEventById,
   updateEvent,
   deleteEvent,
+  getTierReport,
 } = require("../controllers/eventController");
+const { scanTicket, manualCheckIn, getAttendance } = require("../controllers/checkInController");
+const {
+  getWaitlist,
+  reorderWaitlist,
+  removeWaitlistEntry,
+} = require("../controllers/waitlistController");
+const {
+  listEventEmails,
+  resendEventEmail,
+  resendFailedEventEmails,
+} = require("../controllers/outboxController");
+const { requireAdmin, requirePermission, eventFromParams } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/permissions");
 
 const router = express.Router();
 
 router.get("/", getEvents);
-router.post("/", createEvent);
-router.get("/:eventId/registrations", getEventRegistrations);
-router.get("/:eventId/download", downloadEventRegistrations);
+router.post("/", requireAdmin, requirePermission(PERMISSIONS.EVENTS_CREATE), createEvent);
+router.get(
+  "/:eventId/registrations",
+  requireAdmin,
+  requirePermission(PERMISSIONS.REGISTRATIONS_READ, eventFromParams),
+  getEventRegistrations
+);
+router.get(
+  "/:eventId/download",
+  requireAdmin,
+  requirePermission(PERMISSIONS.REGISTRATIONS_EXPORT, eventFromParams),
+  downloadEventRegistrations
+);
+router.get(
+  "/:eventId/tiers/report",
+  requireAdmin,
+  requirePermission(PERMISSIONS.REGISTRATIONS_READ, eventFromParams),
+  getTierReport
+);
+router.post(
+  "/:eventId/check-in",
+  requireAdmin,
+  requirePermission(PERMISSIONS.CHECKIN, eventFromParams),
+  scanTicket
+);
+router.post(
+  "/:eventId/check-in/manual",
+  requireAdmin,
+  requirePermission(PERMISSIONS.CHECKIN, eventFromParams),
+  manualCheckIn
+);
+router.get(
+  "/:eventId/attendance",
+  requireAdmin,
+  requirePermission(PERMISSIONS.REGISTRATIONS_READ, eventFromParams),
+  getAttendance
+);
+router.get(
+  "/:eventId/waitlist",
+  requireAdmin,
+  requirePermission(PERMISSIONS.REGISTRATIONS_READ, eventFromParams),
+  getWaitlist
+);
+router.put(
+  "/:eventId/waitlist/order",
+  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_UPDATE, eventFromParams),
+  reorderWaitlist
+);
+router.delete(
+  "/:eventId/waitlist/:entryId",
+  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_UPDATE, eventFromParams),
+  removeWaitlistEntry
+);
+router.get(
+  "/:eventId/emails",
+  requireAdmin,
+  requirePermission(PERMISSIONS.REGISTRATIONS_READ, eventFromParams),
+  listEventEmails
+);
+router.post(
+  "/:eventId/emails/resend-failed",
+  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_UPDATE, eventFromParams),
+  resendFailedEventEmails
+);
+router.post(
+  "/:eventId/emails/:emailId/resend",
+  requireAdmin,
+  requirePermission(PERMISSIONS.EVENTS_UPDATE, eventFromParams),
+  resendEventEmail
+);
 router.get("/:eventId", getEventById);
-router.put("/:id", updateEvent);
-router.delete("/:id", deleteEvent);
+router.put("/:id", requireAdmin, requirePermission(PERMISSIONS.EVENTS_UPDATE, eventFromParams), updateEvent);
+router.delete("/:id", requireAdmin, requirePermission(PERMISSIONS.EVENTS_DELETE, eventFromParams), deleteEvent);
 
 module.exports = router;
 
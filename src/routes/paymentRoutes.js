@@ -1,11 +1,51 @@
 const express = require("express");
 const router = express.Router();
-const QRCode = require("qrcode");
-const crypto = require("crypto");
 const cloudinary = require("cloudinary").v2;
-const { sendEmail } = require("../services/emailService");
+const { queueEmail } = require("../services/outboxService");
 const Event = require("../models/Event");
 const Registration = require("../models/Registration");
+const SeatHold = require("../models/SeatHold");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const {
+  releaseHoldsFor,
+  createHold,
+  convertHold,
+  releaseHold,
+  reserveSeats,
+  releaseSeats,
+  nextTicketId,
+} = require("../services/seatService");
+const { recordStatusChange } = require("../services/paymentReviewService");
+const { findSimilarScreenshots } = require("../services/fraudService");
+const { normalizeUtr, isValidUtr } = require("../utils/payment");
+const { hashBands } = require("../utils/phash");
+const { generateTransactionRef, buildUpiPayment } = require("../services/upiService");
+const { applyCoupon, reserveCoupon, releaseCoupon } = require("../services/couponService");
+const { findTier, tierPrice, resolveTier } = require("../services/tierService");
+const {
+  parseGroupAttendees,
+  findRegisteredEmail,
+  groupSeatCount,
+  createGroupMembers,
+  updateGroupMembers,
+} = require("../services/groupService");
+const {
+  resolveTeamIntent,
+  intentFromHold,
+  teamSeats,
+  claimTeamSpot,
+  teamFields,
+  releaseTeamSpot,
+} = require("../services/teamService");
+const {
+  checkRegistrationAnswers,
+  uploadRegistrationFiles,
+  createFreeGroupRegistration,
+  sendRegistrationConfirmation,
+} = require("../services/registrationService");
+const { formVersionOf } = require("../services/formService");
+const { renderEmail } = require("../services/emailTemplateService");
+const { buildFromAddress } = require("../utils/email");
 
 // Configure Cloudinary
 cloudinary.config({
@@ -14,14 +54,19 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-// Generate a unique transaction reference
-const generateTransactionRef = () => {
-  return `YM${Date.now().toString().slice(-8)}${Math.floor(Math.random() * 10000)}`;
-};
-
 // Create UPI payment
 router.post("/create-payment", async (req, res) => {
-  const { eventId, name, email, phone, customFieldValues } = req.body;
+  const {
+    eventId,
+    name,
+    email,
+    phone,
+    customFieldValues,
+    couponCode,
+    tierId,
+    teamName,
+    teamCode
+  } = req.body;
 
   try {
     // Validate inputs
@@ -29,6 +74,13 @@ router.post("/create-payment", async (req, res) => {
       return res.status(400).json({ message: "Missing required fields" });
     }
 
+    // A group order pays for the other attendees listed here along with the payer
+    const { attendees: listedAttendees, error: groupError } = parseGroupAttendees(req.body.attendees, email);
+    if (groupError) {
+      return res.status(400).json({ message: groupError });
+    }
+    const attendeeCount = listedAttendees.length + 1;
+
     // Get event details
     const event = await Event.findById(eventId);
     if (!event) {
@@ -40,62 +92,191 @@ router.post("/create-payment", async (req, res) => {
       return res.status(400).json({ message: "This is a free event, no payment required" });
     }
 
-    // Check seat availability
-    const remainingSeats = event.seatLimit - event.registeredUsers;
-    if (remainingSeats <= 0) {
-      return res.status(400).json({ message: "❌ Event is fully booked!" });
+    // Check the form answers before the attendee pays
+    const answers = checkRegistrationAnswers(event, customFieldValues, listedAttendees);
+    if (answers.error) {
+      return res.status(400).json(answers.error);
     }
+    const { attendees } = answers;
 
     // Check if user is already registered
-    const existingRegistration = await Registration.findOne({ email, eventId });
+    const existingRegistration = await Registration.findOne({
+      email,
+      eventId,
+      cancelledAt: { $exists: false },
+    });
     if (existingRegistration) {
       return res.status(400).json({ message: "⚠️ You are already registered!" });
     }
 
+    const registeredAttendee =
+      attendees.length > 0 && (await findRegisteredEmail(eventId, attendees.map((a) => a.email)));
+    if (registeredAttendee) {
+      return res.status(400).json({ message: `⚠️ ${registeredAttendee.email} is already registered!` });
+    }
+
+    // Team events: create a team by name or join one with its code. The team itself is set
+    // up once the registration exists.
+    const { intent: teamIntent, error: teamError } = await resolveTeamIntent(event, { teamName, teamCode });
+    if (teamError) {
+      return res.status(400).json({ message: teamError });
+    }
+    if (teamIntent && attendees.length > 0) {
+      return res.status(400).json({ message: "Team members register individually with their team's join code" });
+    }
+    const seats = teamIntent ? teamSeats(event, teamIntent) : attendeeCount;
+
+    const { tier, error: tierError } = resolveTier(event, tierId);
+    if (tierError) {
+      return res.status(400).json({ message: tierError });
+    }
+    const tierKey = tier ? tier._id : undefined;
+    const soldOutMessage = tier ? `❌ ${tier.name} tickets are sold out!` : "❌ Event is fully booked!";
+
+    // One combined price for the whole group; a coupon applies to the order as a whole
+    const price = tierPrice(event, tier) * attendeeCount;
+    let amount = price;
+    let coupon = null;
+    let discount = 0;
+    if (couponCode) {
+      const applied = await applyCoupon(event, couponCode, email, price);
+      if (applied.error) {
+        return res.status(400).json({ message: applied.error });
+      }
+      ({ coupon, amount, discount } = applied);
+    }
+
+    // A free ticket type, or a code that covers the whole price, skips payment and
+    // registers straight away
+    if (amount === 0) {
+      const reservedEvent = seats > 0 ? await reserveSeats(eventId, seats, tierKey) : event;
+      if (!reservedEvent) {
+        return res.status(400).json({ message: soldOutMessage, waitlistEnabled: !!event.waitlistEnabled });
+      }
+
+      if (coupon) {
+        const reserved = await reserveCoupon(coupon.code, email);
+        if (reserved.error) {
+          if (seats > 0) await releaseSeats(eventId, seats, tierKey);
+          return res.status(400).json({ message: reserved.error });
+        }
+      }
+
+      let teamSpot = null;
+      if (teamIntent) {
+        teamSpot = await claimTeamSpot(event, teamIntent, { email, tierId: tierKey });
+        if (teamSpot.error) {
+          if (seats > 0) await releaseSeats(eventId, seats, tierKey);
+          if (coupon) await releaseCoupon(coupon.code, email);
+          return res.status(400).json({ message: teamSpot.error });
+        }
+      }
+      const joinCode = teamSpot && teamSpot.role === "captain" ? teamSpot.team.joinCode : undefined;
+
+      let registrations;
+      try {
+        registrations = await createFreeGroupRegistration(
+          reservedEvent,
+          {
+            name,
+            email: email.toLowerCase().trim(),
+            phone,
+            customFieldValues: answers.customFieldValues,
+            couponCode: coupon ? coupon.code : undefined,
+            amountDue: 0,
+            tier,
+            ...(teamSpot && teamFields(teamSpot)),
+          },
+          attendees
+        );
+      } catch (registrationError) {
+        if (coupon) await releaseCoupon(coupon.code, email);
+        if (teamSpot) await releaseTeamSpot(eventId, teamSpot.team._id);
+        throw registrationError;
+      }
+
+      for (const registration of registrations) {
+        try {
+          await sendRegistrationConfirmation(reservedEvent, registration, { joinCode });
+        } catch (emailError) {
+          console.error("Error sending registration email:", emailError);
+        }
+      }
+
+      const [registration] = registrations;
+      const ticketIds = registrations.map((r) => r.ticketId);
+      return res.json({
+        success: true,
+        isFree: true,
+        message: `🎉 Registration successful! Ticket ID${ticketIds.length > 1 ? "s" : ""}: ${ticketIds
+          .map((ticketId) => `#${ticketId}`)
+          .join(", ")}. Check your email.`,
+        ticketId: registration.ticketId,
+        ticketIds,
+        couponCode: coupon ? coupon.code : undefined,
+        tierName: tier ? tier.name : undefined,
+        team: teamSpot
+          ? { id: teamSpot.team._id, name: teamSpot.team.name, role: teamSpot.role, joinCode }
+          : undefined,
+        amount: 0,
+        discount,
+      });
+    }
+
     // Generate transaction reference
     const transactionRef = generateTransactionRef();
 
-    // Create UPI payment link
-    // Format: upi://pay?pa=UPI_ID&pn=NAME&am=AMOUNT&tr=REF&tn=NOTE&cu=INR
-    const upiId = event.upiId || process.env.UPI_ID; // Use event's UPI ID if available, otherwise fallback to env
-    const merchantName = encodeURIComponent(process.env.MERCHANT_NAME || "Yellowmatics Events");
-    const amount = event.fee;
-    const note = encodeURIComponent(`Payment for ${event.name}`);
-    
-    // Log payment details for debugging
-    // console.log("Event payment details:", {
-    //   eventId: event._id,
-    //   eventName: event.name,
-    //   upiId: event.upiId,
-    //   fallbackUpiId: process.env.UPI_ID,
-    //   finalUpiId: upiId,
-    //   phoneNumber: event.phoneNumber,
-    //   amount: event.fee
-    // });
-    
-    // Create UPI links for different apps
-    // Standard UPI link (works with most UPI apps)
-    const upiLink = `upi://pay?pa=${upiId}&pn=${merchantName}&am=${amount}&cu=INR&tr=${transactionRef}&tn=${note}`;
-    
-    // Google Pay specific link
-    const gpayLink = `upi://pay?pa=${upiId}&pn=${merchantName}&am=${amount}&cu=INR&tr=${transactionRef}&tn=${note}&mode=04&purpose=00`;
-    
-    // PhonePe specific link
-    const phonePeLink = `upi://pay?pa=${upiId}&pn=${merchantName}&am=${amount}&cu=INR&tr=${transactionRef}&tn=${note}&mc=0000&mode=04`;
-    
-    // Use the standard UPI link as the final link
-    const finalUpiLink = upiLink;
-    
-    // Generate QR code for the final UPI link with enhanced options
-    const qrCode = await QRCode.toDataURL(finalUpiLink, {
-      errorCorrectionLevel: 'H',
-      margin: 1,
-      width: 300,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
+    // A retried checkout gives back the seats and coupon use of the attendee's earlier one
+    // before the coupon is taken again
+    await releaseHoldsFor(eventId, email.toLowerCase().trim());
+
+    // The coupon use is taken now, so the discount quoted here is still honoured when the
+    // screenshot arrives; the hold gives it back if it lapses
+    if (coupon) {
+      const reserved = await reserveCoupon(coupon.code, email);
+      if (reserved.error) {
+        return res.status(400).json({ message: reserved.error });
       }
-    });
+    }
+
+    // Hold a seat while the attendee pays; it lapses automatically if they never upload a screenshot.
+    // The quoted amount is kept on the hold so the screenshot upload can't change it. The
+    // group's attendees are added once their files are uploaded.
+    let hold;
+    try {
+      hold = await createHold(eventId, {
+        transactionRef,
+        email: email.toLowerCase().trim(),
+        seats,
+        teamName: teamIntent && teamIntent.teamName,
+        teamId: teamIntent && teamIntent.team ? teamIntent.team._id : undefined,
+        amount,
+        couponCode: coupon ? coupon.code : undefined,
+        tierId: tierKey
+      });
+    } catch (holdError) {
+      if (coupon) await releaseCoupon(coupon.code, email);
+      throw holdError;
+    }
+    if (!hold) {
+      if (coupon) await releaseCoupon(coupon.code, email);
+      return res.status(400).json({ message: soldOutMessage, waitlistEnabled: !!event.waitlistEnabled });
+    }
+
+    // Form files are only uploaded once the seats are held
+    let uploaded;
+    try {
+      uploaded = await uploadRegistrationFiles(event, answers);
+      await SeatHold.updateOne(
+        { _id: hold._id },
+        { $set: { customFieldValues: uploaded.customFieldValues, attendees: uploaded.attendees } }
+      );
+    } catch (uploadError) {
+      await releaseHold(transactionRef);
+      throw uploadError;
+    }
+
+    const payment = await buildUpiPayment(event, { transactionRef, amount });
 
     // We'll create the registration object but not save it to the database yet
     // It will only be saved when the user uploads a payment screenshot
@@ -107,47 +288,24 @@ router.post("/create-payment", async (req, res) => {
       paymentStatus: 'pending',
       paymentId: transactionRef,
       paymentMethod: 'upi',
-      customFieldValues: customFieldValues || {}
+      customFieldValues: uploaded.customFieldValues,
+      couponCode: coupon ? coupon.code : undefined,
+      tierId: tierKey,
+      tierName: tier ? tier.name : undefined,
+      attendees: uploaded.attendees,
+      amount
     };
-    
-    // console.log("Registration data with custom fields:", registrationData);
-
-    // We'll use our own QR code instead of relying on external service
-    // Generate a backup QR code with a more compatible format for Google Pay
-    const backupQrData = `upi://pay?pa=${upiId}&pn=${encodeURIComponent(process.env.MERCHANT_NAME || "Yellowmatics Events")}&am=${amount}&cu=INR&mode=04&purpose=00`;
-    
-    // Add additional metadata to the QR code for better tracking
-    const enhancedBackupQrData = {
-      upiLink: backupQrData,
-      eventName: event.name,
-      amount: event.fee,
-      transactionRef: transactionRef,
-      timestamp: new Date().toISOString()
-    };
-    
-    // Generate the backup QR code with enhanced options
-    const backupQrCode = await QRCode.toDataURL(JSON.stringify(enhancedBackupQrData), {
-      errorCorrectionLevel: 'H',
-      margin: 1,
-      width: 300,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
-    });
 
     // Return payment details
     res.json({
       success: true,
-      transactionRef,
-      upiLink: finalUpiLink,
-      gpayLink: gpayLink,
-      phonePeLink: phonePeLink,
-      qrCode,
-      backupQrCode,
-      upiId: event.upiId || process.env.UPI_ID, // Ensure we're using the event's UPI ID
-      phoneNumber: event.phoneNumber || "",
-      amount: event.fee,
+      ...payment,
+      originalAmount: price,
+      discount,
+      couponCode: coupon ? coupon.code : undefined,
+      tierName: tier ? tier.name : undefined,
+      groupSize: attendeeCount,
+      holdExpiresAt: hold.expiresAt,
       eventDetails: {
         name: event.name,
         fee: event.fee,
@@ -170,6 +328,48 @@ router.post("/create-payment", async (req, res) => {
   }
 });
 
+// Preview a coupon code's discount before starting checkout
+router.post("/validate-coupon", async (req, res) => {
+  const { eventId, couponCode, email, tierId } = req.body;
+
+  try {
+    if (!eventId || !couponCode) {
+      return res.status(400).json({ message: "Event and coupon code are required" });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    if (event.isFree) {
+      return res.status(400).json({ message: "This is a free event, no payment required" });
+    }
+
+    const { tier, error: tierError } = resolveTier(event, tierId);
+    if (tierError) {
+      return res.status(400).json({ valid: false, message: tierError });
+    }
+
+    const price = tierPrice(event, tier);
+    const applied = await applyCoupon(event, couponCode, email, price);
+    if (applied.error) {
+      return res.status(400).json({ valid: false, message: applied.error });
+    }
+
+    res.json({
+      valid: true,
+      couponCode: applied.coupon.code,
+      originalAmount: price,
+      discount: applied.discount,
+      amount: applied.amount
+    });
+  } catch (error) {
+    console.error("Error validating coupon:", error);
+    res.status(500).json({ message: "Failed to validate coupon" });
+  }
+});
+
 // Check payment status without uploading screenshot
 router.post("/check-payment-status", async (req, res) => {
   const { transactionRef, email } = req.body;
@@ -243,6 +443,18 @@ router.post("/verify-payment", async (req, res) => {
       return res.status(400).json({ message: "Registration data is required" });
     }
 
+    const utr = normalizeUtr(upiTransactionId);
+    if (utr && !isValidUtr(utr)) {
+      return res.status(400).json({
+        message: "UTR must be the 12-digit UPI transaction ID shown in your payment app"
+      });
+    }
+
+    // The checkout's seat hold records the event, attendee, ticket type and amount this
+    // payment reference was quoted for
+    const hold = await SeatHold.findOne({ transactionRef })
+      .select('eventId email amount couponCode tierId customFieldValues attendees seats teamName teamId');
+
     // Check if a registration already exists for this transaction
     let registration = await Registration.findOne({
       paymentId: transactionRef,
@@ -252,68 +464,54 @@ router.post("/verify-payment", async (req, res) => {
     // If registration doesn't exist, create it now
     if (!registration) {
       // console.log("Creating new registration with data:", registrationData);
-      
-      // Ensure customFieldValues is properly formatted
-      let customFieldValues = registrationData.customFieldValues || {};
-      // console.log("Custom field values before processing:", customFieldValues);
-      
+
+      // A reference quoted for one event, attendee or ticket type can't pay for another
+      if (
+        hold &&
+        (String(hold.eventId) !== String(registrationData.eventId) ||
+          hold.email !== email.toLowerCase().trim() ||
+          String(hold.tierId || '') !== String(registrationData.tierId || ''))
+      ) {
+        return res.status(400).json({
+          message: "This payment reference doesn't match the registration details",
+          transactionRef
+        });
+      }
+
       // Create the registration with basic fields first
       registration = new Registration({
         name: registrationData.name,
         email: email.toLowerCase().trim(),
         phone: registrationData.phone,
-        eventId: registrationData.eventId,
+        eventId: hold ? hold.eventId : registrationData.eventId,
         paymentStatus: 'pending',
         paymentId: transactionRef,
         paymentMethod: 'upi'
       });
-      
-      // Handle custom field values
-      try {
-        // Get custom field values from registration data
-        let customFields = registrationData.customFieldValues || {};
-        
-        // Convert to object if it's a string (JSON)
-        if (typeof customFields === 'string') {
-          try {
-            customFields = JSON.parse(customFields);
-          } catch (e) {
-            console.error("Error parsing customFields JSON string:", e);
-            customFields = {};
-          }
-        }
-        
-        // Convert Map to plain object if needed
-        if (customFields instanceof Map) {
-          const plainObject = {};
-          customFields.forEach((value, key) => {
-            plainObject[key] = value;
-          });
-          customFields = plainObject;
-        }
-        
-        // Create a new Map for Mongoose
-        const customFieldsMap = new Map();
-        
-        // Process the custom fields
-        if (typeof customFields === 'object' && !Array.isArray(customFields)) {
-          Object.entries(customFields).forEach(([key, value]) => {
-            if (value !== null && value !== undefined) {
-              // Don't sanitize the key - keep it exactly as in the event definition
-              customFieldsMap.set(key, value);
-            }
-          });
-        } else {
-          customFieldsMap.set("Note", "Custom field values format not recognized");
-        }
-        
-        // Set the custom field values as a Map
-        registration.customFieldValues = customFieldsMap;
-      } catch (customFieldError) {
-        console.error("Error processing custom fields:", customFieldError);
-        // Continue without custom fields if there's an error
-        registration.customFieldValues = new Map();
+
+      // Check the form answers against the event's custom fields
+      const formEvent = await Event.findById(registration.eventId).select('customFields formVersion');
+      if (!formEvent) {
+        return res.status(404).json({ message: "Event not found" });
+      }
+      // Files uploaded at checkout, or when joining the waitlist for an offer, come back as
+      // the URLs stored there
+      let uploadedAnswers = hold && hold.customFieldValues;
+      if (!uploadedAnswers) {
+        const entry = await WaitlistEntry.findOne({ transactionRef }).select('customFieldValues');
+        uploadedAnswers = entry ? entry.customFieldValues : undefined;
+      }
+      const answers = checkRegistrationAnswers(
+        formEvent,
+        registrationData.customFieldValues,
+        [],
+        uploadedAnswers
+      );
+      if (answers.error) {
+        return res.status(400).json(answers.error);
       }
+      registration.customFieldValues = answers.customFieldValues;
+      registration.formVersion = formVersionOf(formEvent);
     } else if (registration.paymentStatus === 'completed') {
       return res.json({
         success: true,
@@ -329,8 +527,15 @@ router.post("/verify-payment", async (req, res) => {
       return res.status(404).json({ message: "Event not found" });
     }
 
+    if (registration.cancelledAt) {
+      return res.status(400).json({ message: "This registration has been cancelled" });
+    }
+
+    // A rejected payment can be resubmitted with a corrected screenshot
+    const isResubmission = registration.paymentStatus === 'rejected';
+
     // Check if payment screenshot already exists
-    if (registration.paymentScreenshot) {
+    if (registration.paymentScreenshot && !isResubmission) {
       // Return success with existing screenshot URL and ticket ID
       return res.json({
         success: true,
@@ -344,6 +549,7 @@ router.post("/verify-payment", async (req, res) => {
     
     // Upload payment screenshot to Cloudinary
     let screenshotUrl = '';
+    let screenshotHash;
     try {
       // Check if the image is a valid base64 string
       if (!paymentScreenshot) {
@@ -361,7 +567,8 @@ router.post("/verify-payment", async (req, res) => {
       const uploadResult = await cloudinary.uploader.upload(paymentScreenshot, {
         folder: 'payment_screenshots',
         resource_type: 'image',
-        public_id: `payment_${transactionRef}`,
+        // Keep earlier screenshots around for the status history
+        public_id: isResubmission ? `payment_${transactionRef}_${Date.now()}` : `payment_${transactionRef}`,
         quality: 'auto',
         fetch_format: 'auto',
         flags: 'lossy',
@@ -369,10 +576,12 @@ router.post("/verify-payment", async (req, res) => {
           { width: 1200, crop: 'limit' },
           { quality: 'auto:low' }
         ],
-        timeout: 60000 // Increase timeout to 60 seconds
+        timeout: 60000, // Increase timeout to 60 seconds
+        phash: true // Perceptual hash for spotting reused screenshots
       });
       
       screenshotUrl = uploadResult.secure_url;
+      screenshotHash = uploadResult.phash;
       // console.log('Successfully uploaded image to Cloudinary:', screenshotUrl);
     } catch (cloudinaryError) {
       console.error('Error uploading to Cloudinary:', cloudinaryError);
@@ -385,165 +594,200 @@ router.post("/verify-payment", async (req, res) => {
     }
 
     // Update registration status - keep as pending but save screenshot
-    registration.transactionId = upiTransactionId || `MANUAL-${Date.now()}`;
-    
-    // Only update the screenshot if it doesn't already exist
-    if (!registration.paymentScreenshot) {
-      registration.paymentScreenshot = screenshotUrl;
-      // console.log('Saving new payment screenshot URL:', screenshotUrl);
-    } 
-    // else {
-    //   console.log('Keeping existing payment screenshot URL:', registration.paymentScreenshot);
-    // }
-    
+    if (utr) {
+      registration.transactionId = utr;
+    }
+
+    registration.paymentScreenshot = screenshotUrl;
+    registration.screenshotHash = screenshotHash;
+    registration.screenshotHashBands = hashBands(screenshotHash);
     registration.paymentStatus = 'pending'; // Keep as pending until admin verifies
     registration.paymentVerified = false;
-    
-    // Generate ticket ID if not already present
-    if (!registration.ticketId) {
-      const lastTicket = await Registration.findOne({ eventId: registration.eventId })
-        .sort({ ticketId: -1 })
-        .select("ticketId");
-      const newTicketId = lastTicket ? lastTicket.ticketId + 1 : 1;
-      registration.ticketId = newTicketId;
+
+    // Flag UTRs and screenshots already submitted for other registrations; verifiers see
+    // these as fraud risks
+    const notes = [isResubmission ? 'Corrected screenshot uploaded' : 'Payment screenshot uploaded'];
+
+    // The amount quoted at checkout, after any coupon, the ticket type and the rest of a
+    // group order's attendees were kept on the seat hold
+    let groupAttendees = [];
+    let heldSeats = 1;
+    let teamIntent = null;
+    if (registration.amountDue === undefined) {
+      const resolvedTeam = await intentFromHold(event, hold);
+      if (resolvedTeam.error) {
+        return res.status(400).json({
+          message: `${resolvedTeam.error}. Please contact the organisers with your payment reference.`,
+          transactionRef
+        });
+      }
+      teamIntent = resolvedTeam.intent;
+      if (hold) heldSeats = hold.seats;
+      registration.amountDue = hold && hold.amount !== undefined ? hold.amount : event.fee;
+      if (hold && hold.attendees.length > 0) {
+        groupAttendees = hold.attendees;
+        registration.groupSize = hold.attendees.length + 1;
+      }
+      const tier = hold && hold.tierId ? findTier(event, hold.tierId) : null;
+      if (tier) {
+        registration.tierId = tier._id;
+        registration.tierName = tier.name;
+      }
+      if (hold && hold.couponCode) {
+        registration.couponCode = hold.couponCode;
+      }
+    }
+    if (utr) {
+      const sameUtr = await Registration.find({
+        _id: { $ne: registration._id },
+        transactionId: utr,
+        cancelledAt: { $exists: false }
+      }).select('ticketId');
+      if (sameUtr.length > 0) {
+        notes.push(`UTR also submitted for ticket(s) ${sameUtr.map((r) => `#${r.ticketId}`).join(', ')}`);
+      }
+    }
+    const similarScreenshots = await findSimilarScreenshots(registration);
+    if (similarScreenshots.length > 0) {
+      notes.push(`Screenshot resembles ticket(s) ${similarScreenshots.map((r) => `#${r.ticketId}`).join(', ')}`);
+    }
+    recordStatusChange(registration, 'pending', { note: notes.join('. ') });
+
+    const isNewRegistration = registration.isNew;
+    const seats = isResubmission ? await groupSeatCount(registration) : heldSeats;
+    let reservedEvent;
+    let tookSeat = true;
+    if (isResubmission) {
+      // Claim the resubmission atomically so the rejection sweeper can't release the seat
+      // underneath us; if it already has, the attendee needs a seat again.
+      const claimed = await Registration.updateOne(
+        { _id: registration._id, paymentStatus: 'rejected', seatReleasedAt: { $exists: false } },
+        { $set: { paymentStatus: 'pending' } }
+      );
+      if (claimed.modifiedCount === 1) {
+        reservedEvent = event;
+        tookSeat = false;
+      } else {
+        reservedEvent = await reserveSeats(registration.eventId, seats, registration.tierId);
+        registration.seatReleasedAt = undefined;
+      }
+    } else {
+      // Turn the checkout's seat hold into a registration, or take fresh seats if it lapsed
+      reservedEvent = await convertHold(registration.eventId, transactionRef, registration.tierId, seats);
+
+      // A lapsed hold gave its coupon use back, so the discount it quoted has to be taken again
+      if (
+        reservedEvent &&
+        registration.couponCode &&
+        !(await SeatHold.exists({ _id: hold._id, status: 'converted' }))
+      ) {
+        const reserved = await reserveCoupon(registration.couponCode, registration.email);
+        if (reserved.error) {
+          if (seats > 0) await releaseSeats(registration.eventId, seats, registration.tierId);
+          return res.status(400).json({
+            message: `${reserved.error}. Please contact the organisers with your payment reference for a refund.`,
+            transactionRef
+          });
+        }
+      }
     }
 
-    await registration.save();
+    if (!reservedEvent) {
+      return res.status(400).json({
+        message: "❌ Event is fully booked! Please contact the organisers with your payment reference for a refund.",
+        transactionRef
+      });
+    }
 
-    // Update event registered users count
-    event.registeredUsers += 1;
-    await event.save();
+    // Create or join the team now that the attendee's seat is confirmed. The attendee has
+    // already paid, so if that's no longer possible the payment is kept pending without a
+    // team for the organisers to resolve.
+    let teamSpot = null;
+    let teamError = null;
+    if (teamIntent) {
+      const claimed = await claimTeamSpot(event, teamIntent, {
+        email: registration.email,
+        tierId: registration.tierId
+      });
+      if (claimed.error) {
+        teamError = claimed.error;
+        // Joining a team whose seat covers its members took no seat; approval takes one
+        if (seats === 0) registration.seatReleasedAt = new Date();
+        const team = teamIntent.team ? teamIntent.team.name : teamIntent.teamName;
+        recordStatusChange(registration, 'pending', {
+          note: `Could not place the attendee in team ${team}: ${teamError}. Sort out their team before approving.`
+        });
+      } else {
+        teamSpot = claimed;
+        Object.assign(registration, teamFields(teamSpot));
+      }
+    }
 
-    // Send confirmation email with ticket using event-specific email if available (OAuth2)
-    const emailUser = event.emailForNotifications || process.env.EMAIL_USER;
+    try {
+      // Form files are only uploaded once the seat is secured; answers uploaded at checkout
+      // are already URLs
+      if (isNewRegistration) {
+        const uploaded = await uploadRegistrationFiles(event, {
+          customFieldValues: Object.fromEntries(registration.customFieldValues),
+        });
+        registration.customFieldValues = uploaded.customFieldValues;
+      }
 
-    // Create ticket data for QR code
-    const ticketData = {
-      name: registration.name,
-      ticketId: registration.ticketId,
-      email: registration.email,
-      phone: registration.phone || 'Not provided',
-      eventId: event._id.toString(),
-      eventName: event.name,
-      venue: event.venue,
-      date: event.date,
-      fee: event.fee,
-      paymentId: registration.paymentId,
-      registrationDate: registration.registrationDate,
-      paymentStatus: 'Pending Verification'
-    };
+      // Generate ticket ID if not already present
+      if (!registration.ticketId) {
+        registration.ticketId = await nextTicketId(registration.eventId);
+      }
 
-    // Generate QR code with all ticket details
-    const ticketQrCode = await QRCode.toDataURL(JSON.stringify(ticketData), {
-      errorCorrectionLevel: 'H',
-      margin: 1,
-      width: 300,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
+      await registration.save();
+
+      // Everyone else in a group order gets their own ticket ID, pending the payer's payment
+      if (groupAttendees.length > 0) {
+        await createGroupMembers(registration, groupAttendees);
+      } else if (isResubmission) {
+        await updateGroupMembers(registration, 'pending', {
+          note: `Corrected screenshot uploaded by ${registration.name}`,
+          unset: tookSeat ? { seatReleasedAt: '' } : undefined
+        });
       }
-    });
+    } catch (saveError) {
+      if (isNewRegistration && !registration.isNew) {
+        await Registration.deleteMany({
+          $or: [{ _id: registration._id }, { groupPayerId: registration._id }]
+        });
+      }
+      // A team's shared seat goes back with the team once its last member is gone
+      if (teamSpot) await releaseTeamSpot(registration.eventId, teamSpot.team._id);
+      if (tookSeat && seats > 0 && !registration.seatHeldByTeam) {
+        await releaseSeats(registration.eventId, seats, registration.tierId);
+      }
+      if (isNewRegistration && registration.couponCode) {
+        await releaseCoupon(registration.couponCode, registration.email);
+      }
+      throw saveError;
+    }
 
-    const emailContent = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
-       
-        
-
-        <h1 style="color: #FFA500; text-align: center;">🔄 Payment Verification in Progress</h1>
-        
-        <p>Hello ${registration.name},</p>
-        
-        <p>Thank you for registering for <strong>${event.name}</strong>. We have received your payment screenshot and it is currently being verified by our team.</p>
-        
-        <div style="background-color: #f9f9f9; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #17a2b8;">
-          <h2 style="color: #333; margin-top: 0; margin-bottom: 15px;">🎟️ Your Registration Details</h2>
-          
-          <table style="width: 100%; border-collapse: collapse;">
-            <tr>
-              <td style="padding: 10px; border-bottom: 1px solid #eee; width: 40%;"><strong>👤 Name:</strong></td>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;">${registration.name}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>🎫 Ticket ID:</strong></td>
-              <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold; color: #17a2b8;">#${registration.ticketId}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>📧 Email:</strong></td>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;">${registration.email}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>📱 Phone:</strong></td>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;">${registration.phone || 'Not provided'}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>📌 Event:</strong></td>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;">${event.name}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>📅 Event Date:</strong></td>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;">${new Date(event.date).toLocaleDateString('en-US', {weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'})}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>📍 Venue:</strong></td>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;">${event.venue}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>💰 Fee:</strong></td>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;">₹${event.fee}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>💳 Payment Reference:</strong></td>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;">${registration.paymentId}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>📆 Registration Date:</strong></td>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;">${new Date(registration.registrationDate).toLocaleString('en-US', {dateStyle: 'full', timeStyle: 'short'})}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;"><strong>🔄 Status:</strong></td>
-              <td style="padding: 10px; border-bottom: 1px solid #eee;"><span style="color: #ffc107; font-weight: bold;">Pending Verification</span></td>
-            </tr>
-          </table>
-        </div>
-
-        <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #ffc107;">
-          <h3 style="color: #856404; margin-top: 0;">⚠️ Important Information</h3>
-          <p style="margin-bottom: 8px;">Your payment is currently being verified by our team. Once verified, you will receive your official ticket with QR code via email.</p>
-          <p style="margin-bottom: 8px;">Please keep your Ticket ID <strong>#${registration.ticketId}</strong> handy for any communication regarding your registration.</p>
-          <p style="margin-bottom: 0;">Verification usually takes 1-2 business days. Thank you for your patience.</p>
-        </div>
-
-        <div style="background-color: #d4edda; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #28a745;">
-          <h3 style="color: #155724; margin-top: 0;">✅ Check Your Registration Status</h3>
-          <p>You can check your registration status anytime using your Ticket ID and email at:</p>
-          <p style="text-align: center;">
-            <a href="${process.env.CLIENT_URL}/check-status" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">Check Status</a>
-          </p>
-        </div>
-
-        <p>If you have any questions, feel free to reply to this email or contact our support team at <a href="mailto:events@yellowmatics.ai">events@yellowmatics.ai</a>.</p>
-
-        <div style="margin-top: 30px; border-top: 1px solid #eee; padding-top: 20px;">
-          <p style="text-align: center; color: #666; font-size: 14px;">Connect with us</p>
-          <div style="text-align: center; margin-bottom: 15px;">
-            <a href="https://www.linkedin.com/company/yellowmatics" style="text-decoration: none; margin: 0 10px; color: #0077B5;">LinkedIn</a> | 
-            <a href="https://www.instagram.com/yellowmatics.ai/" style="text-decoration: none; margin: 0 10px; color: #E1306C;">Instagram</a> | 
-            <a href="https://bit.ly/YMWhatsapp" style="text-decoration: none; margin: 0 10px; color: #25D366;">WhatsApp</a>
-          </div>
-          <p style="text-align: center; color: #666; font-size: 12px;">© ${new Date().getFullYear()} Yellowmatics. All rights reserved.</p>
-        </div>
-      </div>
-    `;
-
-    let mailOptions = {
-      from: `Yellowmatics.ai <${emailUser}>`,
-      to: registration.email,
-      subject: `Payment Verification in Progress - ${event.name} | Ticket #${registration.ticketId}`,
-      html: emailContent
-    };
+    // A waitlist offer is claimed once it has been paid for. One that expired first is
+    // claimed too, since the attendee has paid and got a seat of their own.
+    if (isNewRegistration) {
+      await WaitlistEntry.updateOne(
+        { transactionRef, status: { $in: ['offered', 'expired'] } },
+        { $set: { status: 'claimed', claimedAt: new Date() }, $unset: { claimTokenHash: '' } }
+      );
+    }
+
+    // Let the attendee know the screenshot arrived and is awaiting verification
+    const emailUser = event.emailForNotifications || process.env.EMAIL_USER;
 
     try {
-      await sendEmail(event, mailOptions);
+      const { subject, html } = await renderEmail('payment_pending', event, registration, {
+        joinCode: teamSpot && teamSpot.role === 'captain' ? teamSpot.team.joinCode : undefined,
+        links: { status: `${process.env.CLIENT_URL}/check-status` }
+      });
+      await queueEmail(
+        event,
+        { from: buildFromAddress(emailUser), to: registration.email, subject, html },
+        { template: 'payment_pending', registrationId: registration._id }
+      );
     } catch (emailError) {
       console.error("Error sending payment verification email:", emailError);
       // Continue even if email fails
@@ -552,15 +796,27 @@ router.post("/verify-payment", async (req, res) => {
     // Determine if this was a new screenshot or an existing one
     const isNewScreenshot = !registration.paymentScreenshot || registration.paymentScreenshot === screenshotUrl;
     
+    let message = isNewScreenshot ?
+      "Payment screenshot received and pending verification" :
+      "Payment screenshot already exists and is pending verification";
+    if (teamError) {
+      message += `, but we couldn't place you in your team (${teamError}). The organisers will contact you.`;
+    }
+
     res.json({
       success: true,
-      message: isNewScreenshot ? 
-        "Payment screenshot received and pending verification" : 
-        "Payment screenshot already exists and is pending verification",
+      message,
+      teamError: teamError || undefined,
       ticketId: registration.ticketId,
       registrationId: registration._id,
       status: "pending",
-      paymentScreenshotUrl: registration.paymentScreenshot
+      paymentScreenshotUrl: registration.paymentScreenshot,
+      team: teamSpot ? {
+        id: teamSpot.team._id,
+        name: teamSpot.team.name,
+        role: teamSpot.role,
+        joinCode: teamSpot.role === 'captain' ? teamSpot.team.joinCode : undefined
+      } : undefined
     });
   } catch (error) {
     console.error("Error verifying payment:", error);
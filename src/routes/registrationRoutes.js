@@ -3,13 +3,18 @@ const express = require("express");
 const {
   checkRegistrationStatus,
   registerForEvent,
+  cancelRegistration,
   createTestRegistration,
 } = require("../controllers/registrationController");
+const { joinWaitlist, claimWaitlistOffer } = require("../controllers/waitlistController");
 
 const router = express.Router();
 
 router.get("/status", checkRegistrationStatus);
 router.post("/test", createTestRegistration);
+router.post("/cancel", cancelRegistration);
+router.post("/waitlist", joinWaitlist);
+router.post("/waitlist/claim", claimWaitlistOffer);
 router.post("/", registerForEvent);
 
 module.exports = {
@@ -0,0 +1,16 @@
+const express = require("express");
+
+const { verifyTicket } = require("../controllers/checkInController");
+const { requireAdmin, requirePermission, eventFromTicket } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/permissions");
+
+const router = express.Router();
+
+router.post(
+  "/verify",
+  requireAdmin,
+  requirePermission(PERMISSIONS.REGISTRATIONS_READ, eventFromTicket),
+  verifyTicket
+);
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+
+const normalizeCouponCode = (code) => String(code || "").trim().toUpperCase();
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+const roundRupees = (amount) => Math.round(amount * 100) / 100;
+
+function discountedAmount(fee, coupon) {
+  const discount =
+    coupon.discountType === "percent" ? (fee * coupon.discountValue) / 100 : coupon.discountValue;
+  return roundRupees(Math.max(fee - discount, 0));
+}
+
+// Checks a code against an event and attendee. Resolves to { coupon, amount, discount }
+// with the price after the discount, or { error } explaining why the code can't be used.
+// `price` is what the attendee would otherwise pay, e.g. the price of their ticket tier.
+// The limits are only checked here; reserveCoupon takes the use.
+async function applyCoupon(event, code, email, price = event.fee) {
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+  if (!coupon || !coupon.active) {
+    return { error: "This coupon code is not valid" };
+  }
+
+  if (coupon.eventId && coupon.eventId.toString() !== event._id.toString()) {
+    return { error: "This coupon code is not valid for this event" };
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { error: "This coupon code is not active yet" };
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return { error: "This coupon code has expired" };
+  }
+
+  if (coupon.maxUses !== undefined && coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+    return { error: "This coupon code has reached its usage limit" };
+  }
+
+  if (coupon.perEmailLimit && email) {
+    const redemption = await CouponRedemption.findOne({ code: coupon.code, email: normalizeEmail(email) });
+    if (redemption && redemption.uses >= coupon.perEmailLimit) {
+      return { error: "You have already used this coupon code" };
+    }
+  }
+
+  const amount = discountedAmount(price, coupon);
+  return { coupon, amount, discount: roundRupees(price - amount) };
+}
+
+// Takes one use of a code for `email`, atomically against both its usage limit and its
+// per-email limit. Resolves to { coupon }, or { error } if a limit was reached in the
+// meantime. Give the use back with releaseCoupon.
+async function reserveCoupon(code, email) {
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      code: normalizeCouponCode(code),
+      $or: [{ maxUses: null }, { $expr: { $lt: ["$usedCount", "$maxUses"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!coupon) return { error: "This coupon code has reached its usage limit" };
+
+  try {
+    // Uses are counted per email even without a limit, so one can be added later
+    await CouponRedemption.updateOne(
+      {
+        code: coupon.code,
+        email: normalizeEmail(email),
+        ...(coupon.perEmailLimit && { uses: { $lt: coupon.perEmailLimit } }),
+      },
+      { $inc: { uses: 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    // The filter only misses an existing record once the email has used up its limit, and
+    // the upsert then clashes with it
+    if (error.code === 11000) return { error: "You have already used this coupon code" };
+    throw error;
+  }
+
+  return { coupon };
+}
+
+// Gives a use back, e.g. when the checkout it was taken for lapses or the registration is
+// cancelled
+async function releaseCoupon(code, email) {
+  await CouponRedemption.updateOne(
+    { code: normalizeCouponCode(code), email: normalizeEmail(email), uses: { $gt: 0 } },
+    { $inc: { uses: -1 } }
+  );
+  return Coupon.updateOne(
+    { code: normalizeCouponCode(code), usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+}
+
+module.exports = {
+  normalizeCouponCode,
+  applyCoupon,
+  reserveCoupon,
+  releaseCoupon,
+};
@@ -0,0 +1,175 @@
+const EmailTemplate = require("../models/EmailTemplate");
+const { COMMON_VARIABLES, DEFAULT_EMAIL_TEMPLATES } = require("../config/emailTemplates");
+const { parseTemplate, templateVariables, renderTemplate } = require("../utils/template");
+const {
+  BRAND_FROM_NAME,
+  BRAND_SUPPORT_EMAIL,
+  BRAND_LINKEDIN_URL,
+  BRAND_INSTAGRAM_URL,
+  BRAND_WHATSAPP_URL,
+  REJECTED_PAYMENT_GRACE_HOURS,
+} = require("../config/constants");
+
+const EMAIL_TEMPLATE_NAMES = Object.keys(DEFAULT_EMAIL_TEMPLATES);
+
+const isTemplateName = (name) => EMAIL_TEMPLATE_NAMES.includes(name);
+
+// Every value a template may refer to
+const templateVariableNames = (name) => [...COMMON_VARIABLES, ...DEFAULT_EMAIL_TEMPLATES[name].variables];
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString("en-US", { dateStyle: "full", timeStyle: "short" });
+
+// Checks a template an admin wants to save. Resolves to an error message, or null if it's fine.
+function validateTemplate(name, { subject, html }) {
+  const allowed = templateVariableNames(name);
+
+  for (const [part, source] of [["subject", subject], ["html", html]]) {
+    if (typeof source !== "string" || !source.trim()) return `Template ${part} is required`;
+
+    const { error } = parseTemplate(source);
+    if (error) return `Invalid template ${part}: ${error}`;
+
+    const unknown = templateVariables(source).filter((variable) => !allowed.includes(variable));
+    if (unknown.length > 0) return `Unknown variables in template ${part}: ${unknown.join(", ")}`;
+  }
+  return null;
+}
+
+// The template an event's emails use: the event's own override, otherwise the global one,
+// otherwise the built-in default. `source` says which one it is.
+async function findTemplate(name, eventId) {
+  const overrides = await EmailTemplate.find({
+    name,
+    eventId: { $in: eventId ? [eventId, null] : [null] },
+  }).lean();
+
+  const own = eventId && overrides.find((t) => t.eventId && t.eventId.toString() === eventId.toString());
+  const template = own || overrides.find((t) => !t.eventId);
+  if (!template) {
+    const { subject, html } = DEFAULT_EMAIL_TEMPLATES[name];
+    return { subject, html, source: "default" };
+  }
+
+  return {
+    subject: template.subject,
+    html: template.html,
+    source: own ? "event" : "global",
+    updatedBy: template.updatedBy,
+    updatedAt: template.updatedAt,
+  };
+}
+
+// Values available to templates in an email to the attendee of `registration`, which may also
+// be a waitlist entry. `extras` adds the values specific to one kind of email.
+function emailContext(event, registration, extras = {}) {
+  return {
+    brand: {
+      name: BRAND_FROM_NAME,
+      supportEmail: BRAND_SUPPORT_EMAIL,
+      linkedinUrl: BRAND_LINKEDIN_URL,
+      instagramUrl: BRAND_INSTAGRAM_URL,
+      whatsappUrl: BRAND_WHATSAPP_URL,
+    },
+    year: new Date().getFullYear(),
+    event: {
+      name: event.name,
+      date: event.date,
+      longDate: new Date(event.date).toLocaleDateString("en-US", {
+        weekday: "long",
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+      }),
+      description: event.description,
+      venue: event.venue,
+      fee: event.fee,
+      isPaid: !event.isFree,
+    },
+    registration: {
+      name: registration.name,
+      email: registration.email,
+      phone: registration.phone,
+      ticketId: registration.ticketId,
+      tierName: registration.tierName,
+      teamName: registration.teamName,
+      groupSize: registration.groupSize,
+      amount: registration.amountDue ?? event.fee,
+      couponCode: registration.couponCode,
+      paymentId: registration.paymentId,
+      registrationDate: registration.registrationDate ? formatDateTime(registration.registrationDate) : "N/A",
+      rejectionReason: registration.rejectionReason,
+    },
+    ...extras,
+  };
+}
+
+// Fills in a template. Subjects go into a mail header, so they are left unescaped and kept on
+// one line.
+function renderWith(template, context) {
+  return {
+    subject: renderTemplate(template.subject, context, { escape: false }).replace(/\s*[\r\n]+\s*/g, " ").trim(),
+    html: renderTemplate(template.html, context),
+  };
+}
+
+// Renders the named email for an attendee of the event. Resolves to { subject, html }.
+async function renderEmail(name, event, registration, extras) {
+  const template = await findTemplate(name, event._id);
+  return renderWith(template, emailContext(event, registration, extras));
+}
+
+// Renders a template against made-up attendee details, and the real event when one is given.
+// Resolves to { subject, html }.
+function renderPreview(template, event) {
+  const now = Date.now();
+  const previewEvent = event || {
+    name: "Sample Event",
+    date: new Date(now + 14 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    description: "A sample event used to preview emails",
+    venue: "Main Auditorium",
+    fee: 499,
+    isFree: false,
+  };
+  const sampleRegistration = {
+    name: "Sam Sample",
+    email: "sam@example.com",
+    phone: "9876543210",
+    ticketId: 42,
+    tierName: "Early Bird",
+    teamName: "Byte Busters",
+    groupSize: 3,
+    couponCode: "WELCOME10",
+    paymentId: "YM1234567890",
+    registrationDate: new Date(now),
+    rejectionReason: "The amount in the screenshot doesn't match the fee",
+  };
+
+  const clientUrl = process.env.CLIENT_URL;
+  return renderWith(
+    template,
+    emailContext(previewEvent, sampleRegistration, {
+      joinCode: "K7M2QX",
+      refundRequested: true,
+      seatDeadline: formatDateTime(now + REJECTED_PAYMENT_GRACE_HOURS * 60 * 60 * 1000),
+      offerExpiresAt: formatDateTime(now + 24 * 60 * 60 * 1000),
+      links: {
+        cancel: `${clientUrl}/cancel-registration?token=sample`,
+        status: `${clientUrl}/check-status`,
+        reupload: `${clientUrl}/payment/reupload?ref=YM1234567890`,
+        claim: `${clientUrl}/waitlist/claim?token=sample`,
+      },
+    })
+  );
+}
+
+module.exports = {
+  EMAIL_TEMPLATE_NAMES,
+  isTemplateName,
+  templateVariableNames,
+  validateTemplate,
+  findTemplate,
+  renderEmail,
+  renderPreview,
+  formatDateTime,
+};
@@ -0,0 +1,130 @@
+const {
+  newFieldId,
+  fieldKey,
+  orderedFields,
+  normalizeCustomFields,
+} = require("../utils/customFields");
+
+const toPlain = (field) => (field && field.toObject ? field.toObject() : field);
+
+// The form version new registrations are submitted against
+const formVersionOf = (event) => event.formVersion || 1;
+
+// The parts of a field that make up the form; used to tell whether an edit changed anything.
+// Order is left out since the fields are compared position by position.
+const fieldSignature = (field) =>
+  JSON.stringify([
+    field.fieldId,
+    field.fieldName,
+    field.fieldType,
+    !!field.isRequired,
+    field.options || [],
+    field.placeholder || "",
+    field.helpText || "",
+    field.min ?? null,
+    field.max ?? null,
+    field.pattern || "",
+    field.showWhen ? [field.showWhen.fieldName, field.showWhen.values] : null,
+  ]);
+
+// Events created before forms were versioned have neither field IDs nor a recorded first
+// version. Gives their fields IDs and records the form as it stands as version 1, which is
+// what their existing registrations were submitted against.
+function ensureFormHistory(event) {
+  if (event.formVersions && event.formVersions.length > 0) return;
+
+  event.customFields = (event.customFields || []).map((field) => ({
+    ...toPlain(field),
+    fieldId: field.fieldId || newFieldId(),
+  }));
+  event.formVersion = 1;
+  event.formVersions = [{ version: 1, fields: event.customFields.map(toPlain), createdAt: new Date() }];
+}
+
+// Every field the event's form has ever had, with its most recent definition first
+function knownFields(event) {
+  const fields = new Map();
+  const versions = [...(event.formVersions || [])].sort((a, b) => b.version - a.version);
+  for (const field of [...(event.customFields || []), ...versions.flatMap((v) => v.fields)]) {
+    const plain = toPlain(field);
+    if (!fields.has(fieldKey(plain))) fields.set(fieldKey(plain), plain);
+  }
+  return [...fields.values()];
+}
+
+// Validates a new form for the event and applies it, recording a new form version when it
+// differs from the current one. Resolves to { changed } or { error }; the caller saves the
+// event.
+function applyFormChange(event, input) {
+  ensureFormHistory(event);
+
+  const { fields, error } = normalizeCustomFields(input, knownFields(event));
+  if (error) return { error };
+
+  const current = orderedFields(event.customFields.map(toPlain));
+  const changed =
+    fields.length !== current.length ||
+    fields.some((field, index) => fieldSignature(field) !== fieldSignature(current[index]));
+  if (!changed) return { changed: false };
+
+  const version = formVersionOf(event) + 1;
+  event.customFields = fields;
+  event.formVersion = version;
+  event.formVersions.push({ version, fields, createdAt: new Date() });
+  return { changed: true };
+}
+
+// The fields a registration's answers were given against
+function fieldsForVersion(event, version) {
+  const snapshot = (event.formVersions || []).find((v) => v.version === (version || 1));
+  return (snapshot ? snapshot.fields : event.customFields || []).map(toPlain);
+}
+
+// Matches a registration's answers, which are stored by field name, to the fields they were
+// given for. Resolves to a Map from field key to { field, value }; answers that no form
+// version accounts for are keyed by `name:<field name>`.
+function answersByField(event, registration) {
+  const raw = registration.customFieldValues;
+  const answers = raw instanceof Map ? raw : new Map(Object.entries(raw || {}));
+  const submitted = fieldsForVersion(event, registration.formVersion);
+  const known = knownFields(event);
+
+  const matched = new Map();
+  answers.forEach((value, name) => {
+    const field =
+      submitted.find((f) => f.fieldName === name) || known.find((f) => f.fieldName === name);
+    if (field) matched.set(fieldKey(field), { field, value });
+    else matched.set(`name:${name}`, { field: { fieldName: name, fieldType: "text" }, value });
+  });
+  return matched;
+}
+
+// Columns for showing registrations' answers: the current form's fields in order, followed by
+// those of `registrations`' answers that belong to retired fields or to no known field at all.
+// Each is { key, field, retired }.
+function formColumns(event, registrations) {
+  const columns = orderedFields((event.customFields || []).map(toPlain)).map((field) => ({
+    key: fieldKey(field),
+    field,
+    retired: false,
+  }));
+  const seen = new Set(columns.map((column) => column.key));
+
+  for (const registration of registrations) {
+    answersByField(event, registration).forEach(({ field }, key) => {
+      if (seen.has(key)) return;
+      seen.add(key);
+      columns.push({ key, field, retired: true });
+    });
+  }
+
+  return columns;
+}
+
+module.exports = {
+  formVersionOf,
+  ensureFormHistory,
+  applyFormChange,
+  answersByField,
+  formColumns,
+};
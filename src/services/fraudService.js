@@ -0,0 +1,182 @@
+const Event = require("../models/Event");
+const Registration = require("../models/Registration");
+const { normalizePhone } = require("../utils/payment");
+const { hammingDistance, hashBands } = require("../utils/phash");
+const { SCREENSHOT_SIMILARITY_MAX_DISTANCE } = require("../config/constants");
+
+const amountsDiffer = (a, b) => Math.abs(a - b) >= 0.005;
+
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+};
+
+const relatedSummary = (registration, eventsById) => {
+  const event = eventsById.get(registration.eventId.toString());
+  return {
+    registrationId: registration._id,
+    name: registration.name,
+    ticketId: registration.ticketId,
+    eventId: registration.eventId,
+    eventName: event ? event.name : null,
+    paymentStatus: registration.paymentStatus,
+  };
+};
+
+// Registrations for any event whose screenshot may be within the similarity distance of
+// `hash`: those sharing enough of its bands, found through the band index and narrowed on
+// the server. similarTo makes the exact comparison.
+function loadScreenshotCandidates(hash) {
+  const bands = hashBands(hash);
+  if (!bands) return [];
+
+  const minShared = bands.length - SCREENSHOT_SIMILARITY_MAX_DISTANCE;
+  const filter =
+    minShared > 0
+      ? {
+          screenshotHashBands: { $in: bands },
+          $expr: {
+            $gte: [
+              { $size: { $setIntersection: [{ $ifNull: ["$screenshotHashBands", []] }, bands] } },
+              minShared,
+            ],
+          },
+        }
+      : // A distance this large can't rule anything out by bands
+        { screenshotHash: { $exists: true } };
+
+  return Registration.find({ ...filter, cancelledAt: { $exists: false } })
+    .select("name eventId ticketId screenshotHash paymentStatus")
+    .lean();
+}
+
+// Candidates for every distinct hash among `registrations`, without repeats
+async function loadScreenshotHashes(registrations) {
+  const hashed = new Map();
+  for (const hash of new Set(registrations.map((r) => r.screenshotHash).filter(Boolean))) {
+    for (const candidate of await loadScreenshotCandidates(hash)) {
+      hashed.set(candidate._id.toString(), candidate);
+    }
+  }
+  return [...hashed.values()];
+}
+
+const similarTo = (registration, hashed) =>
+  hashed.filter(
+    (other) =>
+      other._id.toString() !== registration._id.toString() &&
+      hammingDistance(registration.screenshotHash, other.screenshotHash) <=
+        SCREENSHOT_SIMILARITY_MAX_DISTANCE
+  );
+
+// Other registrations whose payment screenshot looks like this one's, e.g. the same image
+// uploaded again or lightly cropped
+async function findSimilarScreenshots(registration) {
+  if (!registration.screenshotHash) return [];
+  return similarTo(registration, await loadScreenshotCandidates(registration.screenshotHash));
+}
+
+// Scores registrations for payment fraud signals: a UTR or screenshot that was also
+// submitted for another registration, a statement amount that doesn't match what was due,
+// and a phone number shared with other registrations for the same event. Resolves to a Map
+// from registration ID to { level, reasons }.
+async function assessFraudRisk(registrations) {
+  const utrs = [...new Set(registrations.map((r) => r.transactionId).filter(Boolean))];
+  const eventIds = [...new Set(registrations.map((r) => r.eventId.toString()))];
+
+  const related = await Registration.find({
+    cancelledAt: { $exists: false },
+    $or: [
+      { transactionId: { $in: utrs } },
+      { eventId: { $in: eventIds }, phone: { $exists: true, $ne: "" } },
+    ],
+  })
+    .select("name eventId ticketId transactionId phone paymentStatus")
+    .lean();
+
+  const hashed = await loadScreenshotHashes(registrations);
+
+  const relatedEventIds = [...new Set([...related, ...hashed].map((r) => r.eventId.toString()))];
+  const events = await Event.find({ _id: { $in: relatedEventIds } }).select("name");
+  const eventsById = new Map(events.map((event) => [event.id, event]));
+
+  const byUtr = groupBy(related, (r) => r.transactionId);
+  const byEventPhone = groupBy(related, (r) => {
+    const phone = normalizePhone(r.phone);
+    return phone && `${r.eventId}:${phone}`;
+  });
+
+  const risks = new Map();
+  for (const registration of registrations) {
+    const id = registration._id.toString();
+    const others = (group) => (group || []).filter((r) => r._id.toString() !== id);
+    const reasons = [];
+
+    const sameUtr = others(byUtr.get(registration.transactionId));
+    if (registration.transactionId && sameUtr.length > 0) {
+      reasons.push({
+        code: "utr_reused",
+        severity: "high",
+        message: `UTR ${registration.transactionId} was also submitted for ${sameUtr.length} other registration(s)`,
+        related: sameUtr.map((r) => relatedSummary(r, eventsById)),
+      });
+    }
+
+    if (
+      registration.statementAmount !== undefined &&
+      registration.statementAmount !== null &&
+      registration.amountDue !== undefined &&
+      registration.amountDue !== null &&
+      amountsDiffer(registration.statementAmount, registration.amountDue)
+    ) {
+      reasons.push({
+        code: "amount_mismatch",
+        severity: "high",
+        message: `Statement shows ₹${registration.statementAmount} but ₹${registration.amountDue} was due`,
+      });
+    }
+
+    const sameScreenshot = registration.screenshotHash ? similarTo(registration, hashed) : [];
+    if (sameScreenshot.length > 0) {
+      const matches = sameScreenshot.map((r) => relatedSummary(r, eventsById));
+      reasons.push({
+        code: "screenshot_reused",
+        severity: "high",
+        message: `This screenshot resembles ${matches
+          .map((match) => `ticket #${match.ticketId} of ${match.eventName || "another event"}`)
+          .join(", ")}`,
+        related: matches,
+      });
+    }
+
+    const phone = normalizePhone(registration.phone);
+    const samePhone = phone ? others(byEventPhone.get(`${registration.eventId}:${phone}`)) : [];
+    if (samePhone.length > 0) {
+      reasons.push({
+        code: "shared_phone",
+        severity: "medium",
+        message: `Phone number is shared with ${samePhone.length} other registration(s) for this event`,
+        related: samePhone.map((r) => relatedSummary(r, eventsById)),
+      });
+    }
+
+    let level = "none";
+    if (reasons.some((reason) => reason.severity === "high")) level = "high";
+    else if (reasons.length > 0) level = "medium";
+
+    risks.set(id, { level, reasons });
+  }
+
+  return risks;
+}
+
+module.exports = {
+  findSimilarScreenshots,
+  assessFraudRisk,
+};
@@ -0,0 +1,115 @@
+const Registration = require("../models/Registration");
+const { nextTicketId } = require("./seatService");
+const { normalizeCustomFieldValues } = require("./registrationService");
+const { MAX_GROUP_SIZE } = require("../config/constants");
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// Validates the other attendees of a group order; the payer is always the first attendee
+// and isn't listed. Resolves to { attendees } or { error }.
+function parseGroupAttendees(attendees, payerEmail) {
+  if (attendees === undefined || attendees === null) return { attendees: [] };
+  if (!Array.isArray(attendees)) return { error: "attendees must be an array" };
+
+  if (attendees.length + 1 > MAX_GROUP_SIZE) {
+    return { error: `A group can register at most ${MAX_GROUP_SIZE} attendees` };
+  }
+
+  const emails = new Set([normalizeEmail(payerEmail)]);
+  const parsed = [];
+  for (const [index, attendee] of attendees.entries()) {
+    const name = String((attendee && attendee.name) || "").trim();
+    const email = normalizeEmail(attendee && attendee.email);
+    if (!name || !email) {
+      return { error: `Attendee ${index + 2} needs a name and email` };
+    }
+    if (emails.has(email)) {
+      return { error: `${email} is listed more than once in this group` };
+    }
+    emails.add(email);
+
+    parsed.push({
+      name,
+      email,
+      phone: attendee.phone,
+      customFieldValues: attendee.customFieldValues,
+    });
+  }
+
+  return { attendees: parsed };
+}
+
+// The first active registration for the event under any of the given emails, if any
+function findRegisteredEmail(eventId, emails) {
+  return Registration.findOne({
+    eventId,
+    email: { $in: emails.map(normalizeEmail) },
+    cancelledAt: { $exists: false },
+  }).select("email");
+}
+
+function groupMembers(payer) {
+  if (!payer.groupSize) return Promise.resolve([]);
+  return Registration.find({ groupPayerId: payer._id, cancelledAt: { $exists: false } });
+}
+
+// Seats a payer's registration currently accounts for: their own plus every attendee in
+// their group who hasn't cancelled
+async function groupSeatCount(payer) {
+  if (!payer.groupSize) return 1;
+  const members = await Registration.countDocuments({
+    groupPayerId: payer._id,
+    cancelledAt: { $exists: false },
+  });
+  return members + 1;
+}
+
+// Registers the other attendees of a paid group order once the payer has submitted the
+// payment. Their payment status follows the payer's from then on.
+async function createGroupMembers(payer, attendees) {
+  const members = [];
+  for (const attendee of attendees) {
+    members.push({
+      name: attendee.name,
+      email: attendee.email,
+      phone: attendee.phone,
+      eventId: payer.eventId,
+      ticketId: await nextTicketId(payer.eventId),
+      paymentStatus: payer.paymentStatus,
+      paymentMethod: payer.paymentMethod,
+      // The payer's amount covers the whole group
+      amountDue: 0,
+      customFieldValues: normalizeCustomFieldValues(attendee.customFieldValues),
+      formVersion: payer.formVersion,
+      tierId: payer.tierId,
+      tierName: payer.tierName,
+      groupPayerId: payer._id,
+      statusHistory: [
+        { status: payer.paymentStatus, changedAt: new Date(), note: `Registered by ${payer.name}` },
+      ],
+    });
+  }
+  return Registration.insertMany(members);
+}
+
+// Copies a payment review outcome from the payer to the rest of their group
+function updateGroupMembers(payer, status, { changedBy, note, set = {}, unset } = {}) {
+  if (!payer.groupSize) return Promise.resolve();
+  return Registration.updateMany(
+    { groupPayerId: payer._id, cancelledAt: { $exists: false } },
+    {
+      $set: { paymentStatus: status, ...set },
+      ...(unset && { $unset: unset }),
+      $push: { statusHistory: { status, changedAt: new Date(), changedBy, note } },
+    }
+  );
+}
+
+module.exports = {
+  parseGroupAttendees,
+  findRegisteredEmail,
+  groupMembers,
+  groupSeatCount,
+  createGroupMembers,
+  updateGroupMembers,
+};
@@ -0,0 +1,176 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { google } = require("googleapis");
+const nodemailer = require("nodemailer");
+const { buildMimeMessage } = require("../utils/mime");
+const { MAIL_SINK_DIR, MAIL_SINK_KEEP } = require("../config/constants");
+
+const DEFAULT_REDIRECT_URI =
+  process.env.OAUTH_REDIRECT_URI || "http://localhost:3000/oauth2callback";
+
+// Every transport has send(mailOptions, { event, emailUser, timeoutMs }), which delivers one
+// email whose From address is already set and resolves to { messageId }. `event` is null for
+// emails that don't belong to an event, `emailUser` is the mailbox they're sent from, and
+// `timeoutMs`, if set, is how long the network calls may take.
+//
+// MAIL_TRANSPORT picks the transport (gmail, smtp, file or memory); an event can pick its own
+// with `mailTransport`. The Gmail API always uses the GOOGLE_* OAuth2 credentials in the
+// environment. SMTP uses SMTP_HOST and SMTP_PORT (Gmail's server by default) and signs in with
+// the event's `appPassword` where set, otherwise with SMTP_USER and SMTP_PASSWORD. The file
+// transport writes .eml files to MAIL_SINK_DIR, and the memory one keeps the last
+// MAIL_SINK_KEEP emails for sentMessages().
+
+function encodeMessage(message) {
+  return Buffer.from(message)
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+async function getGmailClient(emailUser) {
+  if (!emailUser) {
+    throw new Error("Email address not configured for this event.");
+  }
+
+  const clientId = process.env.GOOGLE_CLIENT_ID;
+  const clientSecret = process.env.GOOGLE_CLIENT_SECRET;
+  const refreshToken = process.env.GOOGLE_REFRESH_TOKEN;
+
+  if (!clientId || !clientSecret || !refreshToken) {
+    throw new Error(
+      "OAuth2 credentials missing. Please set GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, and GOOGLE_REFRESH_TOKEN in your .env file."
+    );
+  }
+
+  const oauth2Client = new google.auth.OAuth2(clientId, clientSecret, DEFAULT_REDIRECT_URI);
+  oauth2Client.setCredentials({ refresh_token: refreshToken });
+
+  try {
+    const { token } = await oauth2Client.getAccessToken();
+    if (!token) {
+      throw new Error("Access token is null or undefined");
+    }
+  } catch (error) {
+    console.error("❌ Error getting OAuth2 access token:", error);
+    throw new Error(`Failed to get OAuth2 access token: ${error.message}`);
+  }
+
+  return google.gmail({ version: "v1", auth: oauth2Client });
+}
+
+const gmailTransport = {
+  async send(mailOptions, { emailUser, timeoutMs }) {
+    const gmail = await getGmailClient(emailUser);
+    const response = await gmail.users.messages.send(
+      {
+        userId: "me",
+        requestBody: {
+          raw: encodeMessage(buildMimeMessage(mailOptions)),
+        },
+      },
+      { timeout: timeoutMs }
+    );
+    return { messageId: response.data.id };
+  },
+};
+
+// An event with an app password signs in to SMTP as its own notification address; everything
+// else uses the SMTP account in the environment. Gmail's server is the default.
+function smtpSettings(event, emailUser, timeoutMs) {
+  const port = Number(process.env.SMTP_PORT) || 465;
+  const auth = event?.appPassword
+    ? { user: emailUser, pass: event.appPassword }
+    : { user: process.env.SMTP_USER || emailUser, pass: process.env.SMTP_PASSWORD };
+
+  if (!auth.pass) {
+    throw new Error(
+      "SMTP credentials missing. Set an app password on the event, or SMTP_USER and SMTP_PASSWORD in your .env file."
+    );
+  }
+
+  return {
+    host: process.env.SMTP_HOST || "smtp.gmail.com",
+    port,
+    secure: port === 465,
+    auth,
+    ...(timeoutMs && {
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs,
+    }),
+  };
+}
+
+const smtpTransport = {
+  async send(mailOptions, { event, emailUser, timeoutMs }) {
+    const transporter = nodemailer.createTransport(smtpSettings(event, emailUser, timeoutMs));
+    const info = await transporter.sendMail(mailOptions);
+    return { messageId: info.messageId };
+  },
+};
+
+// The sinks never deliver anything; they keep the message for development and tests
+function sinkMessage(mailOptions) {
+  const messageId = `<${crypto.randomUUID()}@mail-sink.local>`;
+  return { messageId, raw: buildMimeMessage({ ...mailOptions, messageId }) };
+}
+
+const fileTransport = {
+  async send(mailOptions) {
+    const { messageId, raw } = sinkMessage(mailOptions);
+    const filename = `${Date.now()}-${messageId.slice(1, 9)}.eml`;
+
+    await fs.mkdir(MAIL_SINK_DIR, { recursive: true });
+    await fs.writeFile(path.join(MAIL_SINK_DIR, filename), raw);
+    return { messageId };
+  },
+};
+
+// Most recent last
+const memoryMessages = [];
+
+const memoryTransport = {
+  async send(mailOptions) {
+    const { messageId, raw } = sinkMessage(mailOptions);
+    memoryMessages.push({
+      messageId,
+      from: mailOptions.from,
+      to: mailOptions.to,
+      subject: mailOptions.subject,
+      raw,
+      sentAt: new Date(),
+    });
+    if (memoryMessages.length > MAIL_SINK_KEEP) memoryMessages.shift();
+    return { messageId };
+  },
+};
+
+const TRANSPORTS = {
+  gmail: gmailTransport,
+  smtp: smtpTransport,
+  file: fileTransport,
+  memory: memoryTransport,
+};
+
+function getTransport(name) {
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}". Use one of: ${Object.keys(TRANSPORTS).join(", ")}.`);
+  }
+  return transport;
+}
+
+// The emails the memory transport has kept
+const sentMessages = () => [...memoryMessages];
+
+const clearSentMessages = () => {
+  memoryMessages.length = 0;
+};
+
+module.exports = {
+  getTransport,
+  sentMessages,
+  clearSentMessages,
+};
@@ -0,0 +1,128 @@
+const Admin = require("../models/Admin");
+const Counter = require("../models/Counter");
+const CouponRedemption = require("../models/CouponRedemption");
+const Event = require("../models/Event");
+const Registration = require("../models/Registration");
+const { hashBands } = require("../utils/phash");
+
+// Admins created before emails were stored lowercase. Two accounts whose emails differ only
+// in case are left alone and reported, since someone has to decide which one to keep.
+async function normalizeAdminEmails() {
+  const admins = await Admin.find({ email: /[A-Z]|^\s|\s$/ }).select("email");
+
+  for (const admin of admins) {
+    try {
+      await Admin.updateOne(
+        { _id: admin._id },
+        { $set: { email: admin.email.trim().toLowerCase() } }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      console.warn(
+        `⚠️ Could not lowercase the email of admin ${admin._id} (${admin.email}): another admin already uses it`
+      );
+    }
+  }
+}
+
+async function highestTicketId(eventId) {
+  const lastTicket = await Registration.findOne({ eventId }).sort({ ticketId: -1 }).select("ticketId");
+  return lastTicket ? lastTicket.ticketId : 0;
+}
+
+// Ticket numbers handed out twice for the same event, from before they were allocated from
+// per-event counters. The earliest registration keeps the number; the others get new numbers
+// after the event's highest. Ticket QR codes don't contain the number, so they stay valid.
+// The unique ticket index can't be built while duplicates exist, so it's built afterwards.
+async function renumberDuplicateTickets() {
+  const duplicates = await Registration.aggregate([
+    { $match: { ticketId: { $gt: 0 } } },
+    { $group: { _id: { eventId: "$eventId", ticketId: "$ticketId" }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+  ]);
+
+  const eventIds = new Set();
+  for (const { _id: { eventId, ticketId } } of duplicates) {
+    eventIds.add(eventId.toString());
+    const registrations = await Registration.find({ eventId, ticketId })
+      .sort({ registrationDate: 1, _id: 1 })
+      .select("_id");
+
+    for (const { _id } of registrations.slice(1)) {
+      const counter = await Counter.findById(`ticket:${eventId}`);
+      const newTicketId = Math.max(await highestTicketId(eventId), counter ? counter.seq : 0) + 1;
+
+      await Registration.updateOne({ _id }, { $set: { ticketId: newTicketId } });
+      console.warn(`⚠️ Registration ${_id} had duplicate ticket #${ticketId}; renumbered to #${newTicketId}`);
+    }
+  }
+
+  // Seed each affected event's counter past the numbers just given out
+  for (const eventId of eventIds) {
+    await Counter.updateOne(
+      { _id: `ticket:${eventId}` },
+      { $max: { seq: await highestTicketId(eventId) } },
+      { upsert: true }
+    );
+  }
+
+  await Registration.createIndexes();
+}
+
+// Screenshots hashed before their bands were stored, so similar ones can be found for them
+async function addScreenshotHashBands() {
+  const registrations = await Registration.find({
+    screenshotHash: { $exists: true },
+    screenshotHashBands: { $exists: false },
+  }).select("screenshotHash");
+
+  for (const registration of registrations) {
+    await Registration.updateOne(
+      { _id: registration._id },
+      { $set: { screenshotHashBands: hashBands(registration.screenshotHash) } }
+    );
+  }
+}
+
+// Per-email coupon uses from before they were counted separately. Registrations made with a
+// code are a lower bound on its uses, so a count is only ever raised to match them.
+async function countCouponRedemptions() {
+  const redemptions = await Registration.aggregate([
+    { $match: { couponCode: { $exists: true, $ne: null }, cancelledAt: { $exists: false } } },
+    { $group: { _id: { code: "$couponCode", email: { $toLower: "$email" } }, uses: { $sum: 1 } } },
+  ]);
+
+  for (const { _id: { code, email }, uses } of redemptions) {
+    await CouponRedemption.updateOne({ code, email }, { $max: { uses } }, { upsert: true });
+  }
+}
+
+// Per-event Gmail OAuth2 credentials were never used to send mail (the Gmail transport signs
+// in with the ones in the environment), so they're dropped rather than kept around as
+// secrets. The fields are gone from the schema, hence the raw collection update.
+async function dropEventOAuth2Credentials() {
+  await Event.collection.updateMany(
+    {
+      $or: [
+        { oauth2RefreshToken: { $exists: true } },
+        { oauth2ClientId: { $exists: true } },
+        { oauth2ClientSecret: { $exists: true } },
+      ],
+    },
+    { $unset: { oauth2RefreshToken: "", oauth2ClientId: "", oauth2ClientSecret: "" } }
+  );
+}
+
+// One-off data fixes that have to be in place before the server takes requests. Each one
+// only touches rows that still need it, so they're safe to run on every start.
+async function runMigrations() {
+  await normalizeAdminEmails();
+  await renumberDuplicateTickets();
+  await addScreenshotHashBands();
+  await countCouponRedemptions();
+  await dropEventOAuth2Credentials();
+}
+
+module.exports = {
+  runMigrations,
+};
@@ -0,0 +1,167 @@
+const Event = require("../models/Event");
+const OutboxEmail = require("../models/OutboxEmail");
+const { MAIL_CREDENTIAL_FIELDS, sendEmail } = require("./emailService");
+const {
+  OUTBOX_MAX_ATTEMPTS,
+  OUTBOX_RETRY_BASE_SECONDS,
+  OUTBOX_SEND_TIMEOUT_MS,
+} = require("../config/constants");
+
+const MAIL_FIELDS = ["from", "to", "subject", "html", "text"];
+
+const retryDelayMs = (attempts) => OUTBOX_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+let running = null;
+
+const LOCK_MS = OUTBOX_SEND_TIMEOUT_MS * 2;
+
+// Rejects if the send hasn't finished in time. The transports also get the timeout, so the
+// abandoned send itself stops too.
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Send timed out after ${ms / 1000} seconds`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Takes the next email that is due, including any whose send was interrupted
+function claimNextEmail() {
+  const now = new Date();
+  return OutboxEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: { status: "sending", lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function deliver(email) {
+  const mailOptions = {};
+  MAIL_FIELDS.forEach((field) => {
+    if (email[field]) mailOptions[field] = email[field];
+  });
+  mailOptions.attachments = email.attachments.map((attachment) => attachment.toObject());
+
+  // Only the worker holding the current claim records the outcome, so a stale one can't
+  // overwrite a newer attempt's result
+  const claim = { _id: email._id, status: "sending", attempts: email.attempts };
+
+  try {
+    const event = email.eventId ? await Event.findById(email.eventId).select(MAIL_CREDENTIAL_FIELDS) : null;
+    const { messageId: providerMessageId } = await withTimeout(
+      sendEmail(event, mailOptions, { timeoutMs: OUTBOX_SEND_TIMEOUT_MS }),
+      OUTBOX_SEND_TIMEOUT_MS
+    );
+
+    await OutboxEmail.updateOne(
+      claim,
+      {
+        $set: { status: "sent", sentAt: new Date(), providerMessageId },
+        $unset: { lockedUntil: "" },
+        $push: { deliveryLog: { status: "sent", providerMessageId } },
+      }
+    );
+    return true;
+  } catch (error) {
+    const gaveUp = email.attempts >= OUTBOX_MAX_ATTEMPTS;
+    await OutboxEmail.updateOne(
+      claim,
+      {
+        $set: {
+          status: gaveUp ? "failed" : "queued",
+          nextAttemptAt: new Date(Date.now() + retryDelayMs(email.attempts)),
+          lastError: error.message,
+        },
+        $unset: { lockedUntil: "" },
+        $push: { deliveryLog: { status: "failed", error: error.message } },
+      }
+    );
+    if (gaveUp) console.error(`Giving up on email ${email._id} to ${email.to}:`, error);
+    return false;
+  }
+}
+
+// Sends every email that is due. Resolves to the number sent.
+async function processOutbox() {
+  let sent = 0;
+  for (;;) {
+    const email = await claimNextEmail();
+    if (!email) break;
+    if (await deliver(email)) sent += 1;
+  }
+  return sent;
+}
+
+// Starts sending due emails in the background unless that's already under way
+function triggerOutbox() {
+  if (running) return;
+  running = processOutbox()
+    .catch((error) => {
+      console.error("Error processing email outbox:", error);
+    })
+    .finally(() => {
+      running = null;
+    });
+}
+
+// Queues an email for the event's attendees and starts sending it straight away. Failed
+// sends are retried by the outbox worker. `template` and `registrationId` identify the email
+// in the delivery log.
+async function queueEmail(event, mailOptions, { template, registrationId } = {}) {
+  const email = new OutboxEmail({
+    eventId: event ? event._id : undefined,
+    registrationId,
+    template,
+    attachments: mailOptions.attachments || [],
+  });
+  MAIL_FIELDS.forEach((field) => {
+    if (mailOptions[field] !== undefined) email[field] = mailOptions[field];
+  });
+
+  await email.save();
+  triggerOutbox();
+  return email;
+}
+
+// Due straight away, ahead of anything already waiting
+const REQUEUE = { $set: { status: "queued", attempts: 0, nextAttemptAt: new Date(0) } };
+
+// Puts one of an event's failed emails back in the queue with a fresh set of attempts.
+// Resolves to the email, or null if the event has no such failed email.
+async function resendEmail(eventId, emailId) {
+  const email = await OutboxEmail.findOneAndUpdate({ _id: emailId, eventId, status: "failed" }, REQUEUE, {
+    new: true,
+  });
+  if (email) triggerOutbox();
+  return email;
+}
+
+// Requeues all of an event's failed emails. Resolves to how many there were.
+async function resendFailedEmails(eventId) {
+  const { modifiedCount } = await OutboxEmail.updateMany({ eventId, status: "failed" }, REQUEUE);
+  if (modifiedCount > 0) triggerOutbox();
+  return modifiedCount;
+}
+
+function startOutboxWorker(intervalMs) {
+  const timer = setInterval(triggerOutbox, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  queueEmail,
+  processOutbox,
+  triggerOutbox,
+  resendEmail,
+  resendFailedEmails,
+  startOutboxWorker,
+};
@@ -0,0 +1,366 @@
+const Registration = require("../models/Registration");
+const { queueEmail } = require("./outboxService");
+const { renderEmail, formatDateTime } = require("./emailTemplateService");
+const { generateTicketQrCode } = require("./ticketService");
+const { reserveSeats, releaseSeats, nextTicketId } = require("./seatService");
+const { triggerWaitlistPromotion } = require("./waitlistService");
+const { groupMembers, groupSeatCount, updateGroupMembers } = require("./groupService");
+const { buildFromAddress } = require("../utils/email");
+const { REJECTED_PAYMENT_GRACE_HOURS } = require("../config/constants");
+
+// Appends an entry to the registration's payment status history; the caller saves it
+function recordStatusChange(registration, status, { changedBy, note } = {}) {
+  registration.statusHistory.push({
+    status,
+    changedAt: new Date(),
+    changedBy,
+    note,
+    paymentScreenshot: registration.paymentScreenshot,
+  });
+}
+
+function buildReuploadLink(registration) {
+  const params = new URLSearchParams({
+    ref: registration.paymentId,
+    email: registration.email,
+  });
+  return `${process.env.CLIENT_URL}/payment/reupload?${params}`;
+}
+
+function seatReleaseDeadline(registration) {
+  return new Date(registration.rejectedAt.getTime() + REJECTED_PAYMENT_GRACE_HOURS * 60 * 60 * 1000);
+}
+
+async function sendRejectionEmail(event, registration) {
+  const { subject, html } = await renderEmail("payment_rejected", event, registration, {
+    seatDeadline: formatDateTime(seatReleaseDeadline(registration)),
+    links: { reupload: buildReuploadLink(registration) },
+  });
+
+  const emailUser = event.emailForNotifications || process.env.EMAIL_USER;
+  return queueEmail(
+    event,
+    { from: buildFromAddress(emailUser), to: registration.email, subject, html },
+    { template: "payment_rejected", registrationId: registration._id }
+  );
+}
+
+async function sendPaymentVerifiedEmail(event, registration) {
+  const { subject, html } = await renderEmail("payment_verified", event, registration);
+
+  const mailOptions = {
+    from: buildFromAddress(event.emailForNotifications || process.env.EMAIL_USER),
+    to: registration.email,
+    subject,
+    html,
+    attachments: [
+      {
+        filename: "ticket.png",
+        content: registration.ticket.split(";base64,").pop(),
+        encoding: "base64",
+        cid: "ticketQR",
+      },
+      {
+        filename: `Yellowmatics_Ticket_${registration.ticketId}.png`,
+        content: registration.ticket.split(";base64,").pop(),
+        encoding: "base64",
+      },
+    ],
+  };
+
+  return queueEmail(event, mailOptions, {
+    template: "payment_verified",
+    registrationId: registration._id,
+  });
+}
+
+// The ticket number and QR code a registration keeps, or new ones if it has none yet
+async function issueTicket(registration) {
+  return {
+    ticketId: registration.ticketId || (await nextTicketId(registration.eventId)),
+    ticket: registration.ticket || (await generateTicketQrCode(registration)),
+  };
+}
+
+// Writes the verification and ticket in one update. The caller has already claimed the
+// payer's approval, which is what stops anyone else reviewing the group meanwhile. Resolves
+// to the updated registration, or null for a group member who cancelled in the meantime.
+async function markVerified(registration, { verifiedBy, note, ticketId, ticket, set = {} }) {
+  const filter = registration.groupPayerId
+    ? { _id: registration._id, cancelledAt: { $exists: false } }
+    : { _id: registration._id };
+
+  return Registration.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        ...set,
+        paymentStatus: "completed",
+        paymentVerified: true,
+        verificationDate: new Date(),
+        verifiedBy,
+        ticketId,
+        ticket,
+      },
+      $unset: { seatReleasedAt: "" },
+      $push: {
+        statusHistory: {
+          status: "completed",
+          changedAt: new Date(),
+          changedBy: verifiedBy,
+          note,
+          paymentScreenshot: registration.paymentScreenshot,
+        },
+      },
+    },
+    { new: true }
+  );
+}
+
+// Fields an approval changes, put back from the registration as it was loaded when the
+// approval can't be finished
+const APPROVAL_FIELDS = [
+  "paymentStatus",
+  "paymentVerified",
+  "verificationDate",
+  "verifiedBy",
+  "seatReleasedAt",
+  "statusHistory",
+];
+
+function restoreRegistration(previous) {
+  const $set = {};
+  const $unset = {};
+  for (const field of APPROVAL_FIELDS) {
+    const value = previous.get(field);
+    if (value === undefined || value === null) $unset[field] = "";
+    else $set[field] = value;
+  }
+  return Registration.updateOne({ _id: previous._id }, { $set, $unset });
+}
+
+// A registration plus, for a group order's payer, everyone else their payment covers
+async function withGroup(registration) {
+  return [registration, ...(await groupMembers(registration))];
+}
+
+// Confirms a submitted payment, issuing the ticket number and QR code if the registration
+// doesn't have them yet, and emails the ticket to the attendee unless `notify` is false.
+// Approving a group order's payment issues a ticket to every attendee in the group; if any
+// of them can't be verified, none of them are and the error is rethrown.
+// `set` holds extra fields to store on the payer's registration. Resolves to { registration },
+// or { error } when the payment was already verified or the registration's seat was released
+// after a rejection and the event has since filled up.
+async function approvePayment(event, registration, { verifiedBy, note, notify = true, set }) {
+  // Claimed before anything else, so concurrent approvals can't both take a seat or
+  // verify the payment twice
+  const previous = await Registration.findOneAndUpdate(
+    { _id: registration._id, paymentStatus: { $ne: "completed" }, cancelledAt: { $exists: false } },
+    { $set: { paymentStatus: "completed" } }
+  );
+  if (!previous) return { error: "Payment has already been verified" };
+
+  let reservedSeats = 0;
+  let payer;
+  let members = [];
+  const attendees = [];
+  try {
+    if (previous.seatReleasedAt) {
+      const seats = await groupSeatCount(registration);
+      const reservedEvent = await reserveSeats(registration.eventId, seats, registration.tierId);
+      if (!reservedEvent) {
+        await restoreRegistration(previous);
+        return { error: "Event is fully booked; this registration's seat was already released" };
+      }
+      reservedSeats = seats;
+    }
+
+    // Every ticket is issued before anything is written, so a failure there leaves the
+    // whole group untouched
+    members = await groupMembers(registration);
+    const payerTicket = await issueTicket(registration);
+    const memberTickets = [];
+    for (const member of members) {
+      memberTickets.push(await issueTicket(member));
+    }
+
+    payer = await markVerified(registration, { verifiedBy, note, ...payerTicket, set });
+    attendees.push(payer);
+    for (const [index, member] of members.entries()) {
+      const verified = await markVerified(member, {
+        verifiedBy,
+        note: `Paid by ${registration.name}`,
+        ...memberTickets[index],
+      });
+      // A member who cancelled meanwhile has given up their place and gets no ticket
+      if (verified) attendees.push(verified);
+    }
+  } catch (error) {
+    // Leave the payment and the whole group as they were before the claim so it can be
+    // approved again
+    await restoreRegistration(previous);
+    for (const member of members) {
+      await restoreRegistration(member);
+    }
+    if (reservedSeats) {
+      await releaseSeats(registration.eventId, reservedSeats, registration.tierId);
+    }
+    throw error;
+  }
+
+  if (event && notify) {
+    for (const attendee of attendees) {
+      try {
+        await sendPaymentVerifiedEmail(event, attendee);
+      } catch (emailError) {
+        console.error("Error sending confirmation email:", emailError);
+      }
+    }
+  }
+
+  return { registration: payer };
+}
+
+// Marks a submitted payment as rejected and asks the attendee for a new screenshot. The
+// seat stays reserved for the grace period so they can fix it without losing their place.
+// Resolves to { registration }, or { error } when the payment was reviewed in the meantime.
+async function rejectPayment(event, registration, { rejectedBy, reason, notify = true }) {
+  // Conditional so a rejection can't overwrite an approval that landed since the
+  // registration was loaded
+  const rejected = await Registration.findOneAndUpdate(
+    {
+      _id: registration._id,
+      paymentStatus: { $nin: ["completed", "rejected"] },
+      cancelledAt: { $exists: false },
+    },
+    {
+      $set: {
+        paymentStatus: "rejected",
+        paymentVerified: false,
+        rejectionReason: reason,
+        rejectedAt: new Date(),
+        rejectedBy,
+      },
+      $push: {
+        statusHistory: {
+          status: "rejected",
+          changedAt: new Date(),
+          changedBy: rejectedBy,
+          note: reason,
+          paymentScreenshot: registration.paymentScreenshot,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!rejected) return { error: "Payment has already been reviewed" };
+
+  await updateGroupMembers(rejected, "rejected", {
+    changedBy: rejectedBy,
+    note: `Payment by ${rejected.name} rejected: ${reason}`,
+    set: { paymentVerified: false },
+  });
+
+  if (event && notify) {
+    try {
+      await sendRejectionEmail(event, rejected);
+    } catch (emailError) {
+      console.error("Error sending payment rejection email:", emailError);
+    }
+  }
+
+  return { registration: rejected };
+}
+
+// Sends the ticket or rejection emails for a batch of reviewed payments one after another
+// without holding up the request that reviewed them. Each item is { event, registration }.
+// Tickets go to every attendee of a group order; the rejection only to its payer.
+function sendReviewEmailsInBackground(reviewed) {
+  (async () => {
+    for (const { event, registration } of reviewed) {
+      if (!event) continue;
+      try {
+        if (registration.paymentStatus === "completed") {
+          for (const attendee of await withGroup(registration)) {
+            await sendPaymentVerifiedEmail(event, attendee);
+          }
+        } else if (registration.paymentStatus === "rejected") {
+          await sendRejectionEmail(event, registration);
+        }
+      } catch (emailError) {
+        console.error("Error sending payment review email:", emailError);
+      }
+    }
+  })();
+}
+
+// Gives back the seats of rejected registrations nobody fixed within the grace period and
+// offers them to the waitlist. Resolves to the number of seats released.
+async function releaseLapsedRejections() {
+  const cutoff = new Date(Date.now() - REJECTED_PAYMENT_GRACE_HOURS * 60 * 60 * 1000);
+  const lapsed = await Registration.find({
+    paymentStatus: "rejected",
+    rejectedAt: { $lte: cutoff },
+    seatReleasedAt: { $exists: false },
+    // A team's shared seat stays with the team until all of it has left
+    seatHeldByTeam: { $ne: true },
+    cancelledAt: { $exists: false },
+  }).select("_id");
+
+  let released = 0;
+  for (const { _id } of lapsed) {
+    // Conditional update so a re-upload landing at the same moment keeps its seat
+    const registration = await Registration.findOneAndUpdate(
+      { _id, paymentStatus: "rejected", seatReleasedAt: { $exists: false } },
+      {
+        $set: { seatReleasedAt: new Date() },
+        $push: {
+          statusHistory: {
+            status: "seat_released",
+            changedAt: new Date(),
+            note: `No corrected payment within ${REJECTED_PAYMENT_GRACE_HOURS} hours`,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!registration) continue;
+
+    // A group order's seats all go together
+    let seats = 1;
+    if (registration.groupSize) {
+      seats = await groupSeatCount(registration);
+      await Registration.updateMany(
+        { groupPayerId: registration._id, cancelledAt: { $exists: false } },
+        { $set: { seatReleasedAt: registration.seatReleasedAt } }
+      );
+    }
+
+    await releaseSeats(registration.eventId, seats, registration.tierId);
+    triggerWaitlistPromotion(registration.eventId);
+    released += 1;
+  }
+
+  return released;
+}
+
+function startRejectionSweeper(intervalMs) {
+  const timer = setInterval(async () => {
+    try {
+      await releaseLapsedRejections();
+    } catch (error) {
+      console.error("Error releasing seats of rejected payments:", error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  recordStatusChange,
+  approvePayment,
+  rejectPayment,
+  sendReviewEmailsInBackground,
+  releaseLapsedRejections,
+  startRejectionSweeper,
+};
@@ -0,0 +1,225 @@
+const Event = require("../models/Event");
+const Registration = require("../models/Registration");
+const { approvePayment, sendReviewEmailsInBackground } = require("./paymentReviewService");
+
+const MAX_AMOUNT_CANDIDATES = 10;
+
+const amountsEqual = (a, b) => Math.abs(a - b) < 0.005;
+
+const expectedAmount = (registration, event) => {
+  if (registration.amountDue !== undefined && registration.amountDue !== null) return registration.amountDue;
+  return event ? event.fee : null;
+};
+
+const addToIndex = (index, key, registration) => {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(registration);
+};
+
+const rowSummary = (row) => ({
+  rowNumber: row.rowNumber,
+  date: row.date,
+  amount: row.amount,
+  utr: row.utr,
+  references: row.references,
+  description: row.description,
+});
+
+const registrationSummary = (registration, eventsById) => {
+  const event = eventsById.get(registration.eventId.toString());
+  return {
+    registrationId: registration._id,
+    name: registration.name,
+    email: registration.email,
+    eventId: registration.eventId,
+    eventName: event ? event.name : null,
+    ticketId: registration.ticketId,
+    paymentId: registration.paymentId,
+    transactionId: registration.transactionId,
+    paymentStatus: registration.paymentStatus,
+    expectedAmount: expectedAmount(registration, event),
+  };
+};
+
+// Registrations a statement row points at through its transaction reference or UTR
+function identifyRegistrations(row, byRef, byUtr) {
+  const matches = new Map();
+  for (const ref of row.references) {
+    for (const registration of byRef.get(ref) || []) matches.set(registration.id, registration);
+  }
+  for (const utr of row.utrs) {
+    for (const registration of byUtr.get(utr) || []) matches.set(registration.id, registration);
+  }
+  return [...matches.values()];
+}
+
+// Matches statement credit rows against pending registrations. A row is an exact match
+// when its transaction reference or UTR identifies exactly one registration and the amount
+// agrees; those are verified unless `dryRun` is set. Everything else is reported as
+// ambiguous (for manual review), already verified, or unmatched.
+async function reconcileStatement(rows, { eventIds, verifiedBy, dryRun = false }) {
+  const scope = eventIds ? { eventId: { $in: eventIds } } : {};
+
+  // Group members are paid for on the payer's registration, which settles them too
+  const pending = await Registration.find({
+    ...scope,
+    paymentStatus: "pending",
+    groupPayerId: { $exists: false },
+    cancelledAt: { $exists: false },
+  });
+
+  const pendingEventIds = [...new Set(pending.map((registration) => registration.eventId.toString()))];
+  const events = await Event.find({ _id: { $in: pendingEventIds } });
+  const eventsById = new Map(events.map((event) => [event.id, event]));
+
+  const byRef = new Map();
+  const byUtr = new Map();
+  const byAmount = new Map();
+  for (const registration of pending) {
+    addToIndex(byRef, registration.paymentId && registration.paymentId.toUpperCase(), registration);
+    addToIndex(byUtr, registration.transactionId, registration);
+    const amount = expectedAmount(registration, eventsById.get(registration.eventId.toString()));
+    if (amount) addToIndex(byAmount, amount.toFixed(2), registration);
+  }
+
+  const exact = [];
+  const ambiguous = [];
+  const unidentified = [];
+  const claimed = new Set();
+
+  for (const row of rows) {
+    const matches = identifyRegistrations(row, byRef, byUtr);
+
+    if (matches.length === 0) {
+      unidentified.push(row);
+      continue;
+    }
+
+    if (matches.length > 1) {
+      ambiguous.push({
+        row: rowSummary(row),
+        reason: "Reference and UTR point to different registrations",
+        candidates: matches.map((registration) => registrationSummary(registration, eventsById)),
+      });
+      continue;
+    }
+
+    const [registration] = matches;
+    const expected = expectedAmount(registration, eventsById.get(registration.eventId.toString()));
+    let reason = null;
+    if (expected === null || !amountsEqual(row.amount, expected)) {
+      reason = `Amount mismatch: expected ₹${expected}, statement shows ₹${row.amount}`;
+    } else if (claimed.has(registration.id)) {
+      reason = "Another statement row already matched this registration";
+    }
+
+    if (reason) {
+      // Kept so the verifier sees the mismatch as a fraud signal on the registration
+      if (!dryRun && !claimed.has(registration.id)) {
+        await Registration.updateOne({ _id: registration._id }, { $set: { statementAmount: row.amount } });
+      }
+      ambiguous.push({
+        row: rowSummary(row),
+        reason,
+        candidates: [registrationSummary(registration, eventsById)],
+      });
+      continue;
+    }
+
+    claimed.add(registration.id);
+    exact.push({ row, registration });
+  }
+
+  // Rows without a usable reference may still belong to a payment verified earlier
+  const refs = unidentified.flatMap((row) => row.references);
+  const utrs = unidentified.flatMap((row) => row.utrs);
+  const verifiedRegistrations =
+    refs.length || utrs.length
+      ? await Registration.find({
+          ...scope,
+          paymentStatus: "completed",
+          $or: [{ paymentId: { $in: refs } }, { transactionId: { $in: utrs } }],
+        }).select("name email eventId ticketId paymentId transactionId paymentStatus")
+      : [];
+  const otherEventIds = verifiedRegistrations
+    .map((registration) => registration.eventId.toString())
+    .filter((id) => !eventsById.has(id));
+  if (otherEventIds.length > 0) {
+    for (const event of await Event.find({ _id: { $in: [...new Set(otherEventIds)] } })) {
+      eventsById.set(event.id, event);
+    }
+  }
+
+  const verifiedByRef = new Map();
+  const verifiedByUtr = new Map();
+  for (const registration of verifiedRegistrations) {
+    addToIndex(verifiedByRef, registration.paymentId && registration.paymentId.toUpperCase(), registration);
+    addToIndex(verifiedByUtr, registration.transactionId, registration);
+  }
+
+  const alreadyVerified = [];
+  const unmatched = [];
+  for (const row of unidentified) {
+    const [previous] = identifyRegistrations(row, verifiedByRef, verifiedByUtr);
+    if (previous) {
+      alreadyVerified.push({ row: rowSummary(row), registration: registrationSummary(previous, eventsById) });
+      continue;
+    }
+
+    const sameAmount = (byAmount.get(row.amount.toFixed(2)) || []).filter(
+      (registration) => !claimed.has(registration.id)
+    );
+    if (sameAmount.length > 0) {
+      ambiguous.push({
+        row: rowSummary(row),
+        reason: "Matched by amount only",
+        candidateCount: sameAmount.length,
+        candidates: sameAmount
+          .slice(0, MAX_AMOUNT_CANDIDATES)
+          .map((registration) => registrationSummary(registration, eventsById)),
+      });
+      continue;
+    }
+
+    unmatched.push(rowSummary(row));
+  }
+
+  const verified = [];
+  const failed = [];
+  const reviewed = [];
+  for (const { row, registration } of exact) {
+    const summary = { row: rowSummary(row), registration: registrationSummary(registration, eventsById) };
+    if (dryRun) {
+      verified.push(summary);
+      continue;
+    }
+
+    try {
+      const event = eventsById.get(registration.eventId.toString());
+      const approved = await approvePayment(event, registration, {
+        verifiedBy,
+        note: `Matched bank statement row ${row.rowNumber}`,
+        notify: false,
+        set: { statementAmount: row.amount },
+      });
+      if (approved.error) {
+        failed.push({ ...summary, reason: approved.error });
+      } else {
+        reviewed.push({ event, registration: approved.registration });
+        verified.push({ ...summary, registration: registrationSummary(approved.registration, eventsById) });
+      }
+    } catch (error) {
+      console.error("Error verifying reconciled payment:", error);
+      failed.push({ ...summary, reason: "Failed to verify payment" });
+    }
+  }
+
+  sendReviewEmailsInBackground(reviewed);
+
+  return { dryRun, verified, failed, ambiguous, alreadyVerified, unmatched };
+}
+
+module.exports = {
+  reconcileStatement,
+};
@@ -0,0 +1,312 @@
+const Registration = require("../models/Registration");
+const { queueEmail } = require("./outboxService");
+const { renderEmail } = require("./emailTemplateService");
+const { generateTicketQrCode } = require("./ticketService");
+const { releaseSeats, nextTicketId } = require("./seatService");
+const { releaseCoupon } = require("./couponService");
+const { triggerWaitlistPromotion } = require("./waitlistService");
+const { leaveTeam } = require("./teamService");
+const { uploadFormFile } = require("./uploadService");
+const { formVersionOf } = require("./formService");
+const { buildFromAddress } = require("../utils/email");
+const { buildCancellationLink } = require("../utils/ticket");
+const { validateCustomFieldValues, isPendingUpload } = require("../utils/customFields");
+
+// Accepts custom field answers as an object, a Map or a JSON string and returns the Map
+// stored on the registration, dropping empty values.
+function normalizeCustomFieldValues(customFieldValues) {
+  let processedCustomFields = customFieldValues || {};
+
+  if (typeof processedCustomFields === "string") {
+    try {
+      processedCustomFields = JSON.parse(processedCustomFields);
+    } catch (e) {
+      console.error("Error parsing customFieldValues JSON string:", e);
+      processedCustomFields = {};
+    }
+  }
+
+  if (processedCustomFields instanceof Map) {
+    processedCustomFields = Object.fromEntries(processedCustomFields);
+  }
+
+  const customFieldMap = new Map();
+  if (typeof processedCustomFields === "object" && !Array.isArray(processedCustomFields)) {
+    Object.entries(processedCustomFields).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        customFieldMap.set(key, value);
+      }
+    });
+  }
+
+  return customFieldMap;
+}
+
+// Validates the registrant's and any group attendees' answers against the event's form.
+// Resolves to { customFieldValues, attendees } with the checked answers as plain objects, or
+// { error } with a response body naming each offending field (and, for an attendee, their
+// position in `attendees`). File answers are still data URLs; see uploadRegistrationFiles.
+// Only a registrant completing an earlier step passes `uploadedAnswers`, the answers stored
+// for that step, whose file URLs they may send back.
+function checkRegistrationAnswers(event, customFieldValues, attendees = [], uploadedAnswers) {
+  const fields = event.customFields || [];
+
+  const own = validateCustomFieldValues(
+    fields,
+    normalizeCustomFieldValues(customFieldValues),
+    uploadedAnswers && normalizeCustomFieldValues(uploadedAnswers)
+  );
+  if (own.errors) {
+    return { error: { message: "Please correct the highlighted fields", errors: own.errors } };
+  }
+
+  const checked = [];
+  for (const [index, attendee] of attendees.entries()) {
+    const result = validateCustomFieldValues(
+      fields,
+      normalizeCustomFieldValues(attendee.customFieldValues)
+    );
+    if (result.errors) {
+      return {
+        error: {
+          message: `Please correct the highlighted fields for ${attendee.name}`,
+          attendee: index,
+          errors: result.errors,
+        },
+      };
+    }
+    checked.push({ ...attendee, customFieldValues: Object.fromEntries(result.values) });
+  }
+
+  return { customFieldValues: Object.fromEntries(own.values), attendees: checked };
+}
+
+// Uploads the files among checked answers and swaps each for its URL
+async function uploadAnswerFiles(event, answers) {
+  const values = new Map(Object.entries(answers || {}));
+  for (const [name, value] of values) {
+    if (isPendingUpload(value)) values.set(name, await uploadFormFile(value, event._id));
+  }
+  return Object.fromEntries(values);
+}
+
+// Uploads the file answers of checked registration answers. Called only once the seats or
+// registration they're for are secured, so rejected registrations leave no files behind.
+// Resolves to { customFieldValues, attendees } like checkRegistrationAnswers.
+async function uploadRegistrationFiles(event, { customFieldValues, attendees = [] }) {
+  const uploadedAttendees = [];
+  for (const attendee of attendees) {
+    uploadedAttendees.push({
+      ...attendee,
+      customFieldValues: await uploadAnswerFiles(event, attendee.customFieldValues),
+    });
+  }
+  return {
+    customFieldValues: await uploadAnswerFiles(event, customFieldValues),
+    attendees: uploadedAttendees,
+  };
+}
+
+async function buildFreeRegistration(
+  event,
+  {
+    name,
+    email,
+    phone,
+    customFieldValues,
+    formVersion,
+    couponCode,
+    amountDue,
+    tier,
+    groupSize,
+    groupPayerId,
+    teamId,
+    teamName,
+    teamRole,
+    seatHeldByTeam,
+  }
+) {
+  const registration = new Registration({
+    name,
+    email,
+    phone,
+    eventId: event._id,
+    ticketId: await nextTicketId(event._id),
+    paymentStatus: "completed",
+    customFieldValues: normalizeCustomFieldValues(customFieldValues),
+    formVersion: formVersion ?? formVersionOf(event),
+    couponCode,
+    amountDue,
+    tierId: tier ? tier._id : undefined,
+    tierName: tier ? tier.name : undefined,
+    groupSize,
+    groupPayerId,
+    teamId,
+    teamName,
+    teamRole,
+    seatHeldByTeam,
+  });
+
+  registration.ticket = await generateTicketQrCode(registration);
+  return registration;
+}
+
+// Issues confirmed tickets for a free event, or a paid one whose coupon covers the whole
+// fee: one for the registrant and one for each of the other `attendees` of a group order.
+// The caller must already have reserved a seat for each of them, unless their team's seat
+// covers them; they are all given back if anything here fails. File answers are uploaded
+// here. Resolves to the registrations, the registrant's first.
+async function createFreeGroupRegistration(event, details, attendees = []) {
+  const { tier } = details;
+  const seats = details.seatHeldByTeam ? 0 : attendees.length + 1;
+  const created = [];
+  try {
+    const uploaded = await uploadRegistrationFiles(event, {
+      customFieldValues: details.customFieldValues,
+      attendees,
+    });
+
+    const payer = await buildFreeRegistration(event, {
+      ...details,
+      customFieldValues: uploaded.customFieldValues,
+      groupSize: attendees.length > 0 ? seats : undefined,
+    });
+    await payer.save();
+    created.push(payer);
+
+    for (const attendee of uploaded.attendees) {
+      const member = await buildFreeRegistration(event, {
+        ...attendee,
+        tier,
+        amountDue: details.amountDue === undefined ? undefined : 0,
+        groupPayerId: payer._id,
+      });
+      await member.save();
+      created.push(member);
+    }
+    return created;
+  } catch (error) {
+    if (created.length > 0) {
+      await Registration.deleteMany({ _id: { $in: created.map((registration) => registration._id) } });
+    }
+    if (seats > 0) await releaseSeats(event._id, seats, tier && tier._id);
+    throw error;
+  }
+}
+
+async function createFreeRegistration(event, details) {
+  const [registration] = await createFreeGroupRegistration(event, details);
+  return registration;
+}
+
+// `joinCode` is included for a team's captain to share with teammates
+async function sendRegistrationConfirmation(event, registration, { joinCode } = {}) {
+  const { subject, html } = await renderEmail("registration_confirmed", event, registration, {
+    joinCode,
+    links: { cancel: buildCancellationLink(registration) },
+  });
+
+  const emailUser = event.emailForNotifications || process.env.EMAIL_USER;
+  const mailOptions = {
+    from: buildFromAddress(emailUser),
+    to: registration.email,
+    subject,
+    html,
+    attachments: [
+      {
+        filename: "ticket.png",
+        content: registration.ticket.split(";base64,").pop(),
+        encoding: "base64",
+        cid: "ticketQR",
+      },
+    ],
+  };
+
+  return queueEmail(event, mailOptions, {
+    template: "registration_confirmed",
+    registrationId: registration._id,
+  });
+}
+
+async function sendCancellationEmail(event, registration) {
+  const { subject, html } = await renderEmail("registration_cancelled", event, registration, {
+    refundRequested: registration.refundStatus === "requested",
+  });
+
+  const emailUser = event.emailForNotifications || process.env.EMAIL_USER;
+  return queueEmail(
+    event,
+    { from: buildFromAddress(emailUser), to: registration.email, subject, html },
+    { template: "registration_cancelled", registrationId: registration._id }
+  );
+}
+
+// Cancels a registration, gives its seat back and offers it to the waitlist. Paid
+// registrations are flagged for a refund; for group orders the refund is tracked on the
+// payer's registration, and cancelling it cancels the whole group. Resolves to null if it
+// was already cancelled.
+async function cancelRegistration(event, registration, { cancelledBy, reason } = {}) {
+  const wasPaid =
+    !event.isFree &&
+    !registration.groupPayerId &&
+    (registration.paymentStatus === "completed" || !!registration.paymentScreenshot);
+
+  const update = { cancelledAt: new Date(), cancelledBy };
+  if (reason) update.cancellationReason = reason;
+  if (wasPaid) update.refundStatus = "requested";
+
+  const cancelled = await Registration.findOneAndUpdate(
+    { _id: registration._id, cancelledAt: { $exists: false } },
+    {
+      $set: update,
+      $push: {
+        statusHistory: { status: "cancelled", changedAt: new Date(), changedBy: cancelledBy, note: reason },
+      },
+    },
+    { new: true }
+  );
+  if (!cancelled) return null;
+
+  // Rejected payments may already have given their seat back after the grace period, and
+  // a team's shared seat is only given back once the whole team has left
+  if (!cancelled.seatReleasedAt && !cancelled.seatHeldByTeam) {
+    await releaseSeats(event._id, 1, cancelled.tierId);
+  }
+  if (cancelled.teamId) {
+    await leaveTeam(event._id, cancelled);
+  }
+  if (cancelled.couponCode) {
+    await releaseCoupon(cancelled.couponCode, cancelled.email);
+  }
+  if (cancelled.groupSize) {
+    const members = await Registration.find({
+      groupPayerId: cancelled._id,
+      cancelledAt: { $exists: false },
+    });
+    for (const member of members) {
+      await cancelRegistration(event, member, {
+        cancelledBy,
+        reason: reason || `Group order cancelled by ${cancelled.name}`,
+      });
+    }
+  }
+  triggerWaitlistPromotion(event._id);
+
+  try {
+    await sendCancellationEmail(event, cancelled);
+  } catch (emailError) {
+    console.error("Error sending cancellation email:", emailError);
+  }
+
+  return cancelled;
+}
+
+module.exports = {
+  normalizeCustomFieldValues,
+  checkRegistrationAnswers,
+  uploadRegistrationFiles,
+  createFreeRegistration,
+  createFreeGroupRegistration,
+  sendRegistrationConfirmation,
+  cancelRegistration,
+};
@@ -0,0 +1,286 @@
+const mongoose = require("mongoose");
+
+const Counter = require("../models/Counter");
+const Event = require("../models/Event");
+const Registration = require("../models/Registration");
+const SeatHold = require("../models/SeatHold");
+const { releaseCoupon } = require("./couponService");
+const { SEAT_HOLD_TTL_MINUTES } = require("../config/constants");
+
+// Seats already taken by registrations plus those held for in-progress checkouts
+const occupiedSeatsExpr = {
+  $add: [{ $ifNull: ["$registeredUsers", 0] }, { $ifNull: ["$heldSeats", 0] }],
+};
+
+// True when the given ticket tier has no quota or still has `count` seats left in it
+const tierHasRoomFor = (tierId, count) => ({
+  $anyElementTrue: [
+    {
+      $map: {
+        input: { $ifNull: ["$ticketTiers", []] },
+        as: "tier",
+        in: {
+          $and: [
+            { $eq: ["$$tier._id", tierId] },
+            {
+              $or: [
+                { $eq: [{ $ifNull: ["$$tier.seatQuota", null] }, null] },
+                {
+                  $lte: [
+                    {
+                      $add: [
+                        { $ifNull: ["$$tier.registeredCount", 0] },
+                        { $ifNull: ["$$tier.heldCount", 0] },
+                        count,
+                      ],
+                    },
+                    "$$tier.seatQuota",
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      },
+    },
+  ],
+});
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const hasRoomFor = (count, tierId) => {
+  const conditions = [{ $lte: [{ $add: [occupiedSeatsExpr, count] }, "$seatLimit"] }];
+  if (tierId) conditions.push(tierHasRoomFor(toObjectId(tierId), count));
+  return { $expr: { $and: conditions } };
+};
+
+// Applies `inc` to the event's seat counters and `tierInc` to the same counters of the
+// given ticket tier, if any, in one update
+const updateSeatCounters = (filter, inc, tierId, tierInc) => {
+  if (!tierId) {
+    return Event.findOneAndUpdate(filter, { $inc: inc }, { new: true });
+  }
+
+  const tierFields = Object.fromEntries(
+    Object.entries(tierInc).map(([field, value]) => [`ticketTiers.$[tier].${field}`, value])
+  );
+  return Event.findOneAndUpdate(
+    filter,
+    { $inc: { ...inc, ...tierFields } },
+    { new: true, arrayFilters: [{ "tier._id": toObjectId(tierId) }] }
+  );
+};
+
+const tierAvailableSeats = (tier) =>
+  tier.seatQuota === undefined || tier.seatQuota === null
+    ? Infinity
+    : Math.max(tier.seatQuota - (tier.registeredCount || 0) - (tier.heldCount || 0), 0);
+
+// Seats still free for the event, or for one of its ticket tiers when `tier` is given
+const availableSeats = (event, tier) => {
+  const eventSeats = Math.max(
+    (event.seatLimit || 0) - (event.registeredUsers || 0) - (event.heldSeats || 0),
+    0
+  );
+  return tier ? Math.min(eventSeats, tierAvailableSeats(tier)) : eventSeats;
+};
+
+// Atomically takes `count` seats, from a ticket tier's quota too when `tierId` is given, if
+// that many are still free. Resolves to the updated event, or null when the event doesn't
+// exist or is fully booked.
+async function reserveSeats(eventId, count = 1, tierId) {
+  return updateSeatCounters(
+    { _id: eventId, ...hasRoomFor(count, tierId) },
+    { registeredUsers: count },
+    tierId,
+    { registeredCount: count }
+  );
+}
+
+async function releaseSeats(eventId, count = 1, tierId) {
+  return updateSeatCounters(
+    { _id: eventId, registeredUsers: { $gte: count } },
+    { registeredUsers: -count },
+    tierId,
+    { registeredCount: -count }
+  );
+}
+
+// Hands out the next ticket number for an event. The counter is seeded from the highest
+// existing ticket the first time an event needs one, so numbering continues seamlessly.
+async function nextTicketId(eventId) {
+  const key = `ticket:${eventId}`;
+
+  const counter = await Counter.findByIdAndUpdate(key, { $inc: { seq: 1 } }, { new: true });
+  if (counter) return counter.seq;
+
+  const lastTicket = await Registration.findOne({ eventId })
+    .sort({ ticketId: -1 })
+    .select("ticketId");
+  const seq = (lastTicket ? lastTicket.ticketId : 0) + 1;
+
+  try {
+    await Counter.create({ _id: key, seq });
+    return seq;
+  } catch (error) {
+    // Another request seeded the counter first; take the next number from it instead
+    if (error.code === 11000) return nextTicketId(eventId);
+    throw error;
+  }
+}
+
+// Moves a hold out of "active" and gives its seats and coupon use back. The conditional
+// update makes this safe to race against conversion or another sweeper.
+async function endHold(filter, status) {
+  const hold = await SeatHold.findOneAndUpdate(
+    { ...filter, status: "active" },
+    { $set: { status } },
+    { new: true }
+  );
+  if (!hold) return null;
+
+  await updateSeatCounters(
+    { _id: hold.eventId, heldSeats: { $gte: hold.seats } },
+    { heldSeats: -hold.seats },
+    hold.tierId,
+    { heldCount: -hold.seats }
+  );
+  if (hold.couponCode) {
+    await releaseCoupon(hold.couponCode, hold.email);
+  }
+  return hold;
+}
+
+// Releases every hold past its expiry, optionally for a single event. Resolves to the IDs
+// of the events that got seats back.
+async function releaseExpiredHolds(eventId) {
+  const filter = { status: "active", expiresAt: { $lte: new Date() } };
+  if (eventId) filter.eventId = eventId;
+
+  const expired = await SeatHold.find(filter).select("_id");
+  const freedEventIds = new Set();
+  for (const { _id } of expired) {
+    const hold = await endHold({ _id }, "expired");
+    if (hold) freedEventIds.add(hold.eventId.toString());
+  }
+  return [...freedEventIds];
+}
+
+// Releases the email's active holds for the event, e.g. when they start checkout again
+async function releaseHoldsFor(eventId, email) {
+  const active = await SeatHold.find({ eventId, email, status: "active" }).select("_id");
+  for (const { _id } of active) {
+    await endHold({ _id }, "released");
+  }
+}
+
+// Sets seats aside for a checkout. Any earlier active hold by the same email for the same
+// event is released first so retrying checkout doesn't pile up holds. A `couponCode` must
+// already be reserved for the email; the use is given back when the hold lapses or is
+// released.
+async function createHold(
+  eventId,
+  {
+    transactionRef,
+    email,
+    seats = 1,
+    ttlMinutes = SEAT_HOLD_TTL_MINUTES,
+    amount,
+    couponCode,
+    tierId,
+    attendees,
+    teamName,
+    teamId,
+  }
+) {
+  await releaseExpiredHolds(eventId);
+
+  if (email) {
+    await releaseHoldsFor(eventId, email);
+  }
+
+  const event = await updateSeatCounters(
+    { _id: eventId, ...hasRoomFor(seats, tierId) },
+    { heldSeats: seats },
+    tierId,
+    { heldCount: seats }
+  );
+  if (!event) return null;
+
+  try {
+    return await SeatHold.create({
+      eventId,
+      transactionRef,
+      email,
+      seats,
+      amount,
+      couponCode,
+      tierId,
+      attendees,
+      teamName,
+      teamId,
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    });
+  } catch (error) {
+    await updateSeatCounters({ _id: eventId }, { heldSeats: -seats }, tierId, { heldCount: -seats });
+    throw error;
+  }
+}
+
+// Turns the checkout's hold into registered seats. Falls back to a fresh reservation of
+// `seats` (in `tierId` if given) when the hold has already lapsed. Resolves to the updated
+// event, or null if not enough seats are left.
+async function convertHold(eventId, transactionRef, tierId, seats = 1) {
+  const hold = await SeatHold.findOneAndUpdate(
+    { eventId, transactionRef, status: "active" },
+    { $set: { status: "converted" } },
+    { new: true }
+  );
+
+  if (!hold) {
+    return reserveSeats(eventId, seats, tierId);
+  }
+
+  return updateSeatCounters(
+    { _id: eventId },
+    { heldSeats: -hold.seats, registeredUsers: hold.seats },
+    hold.tierId,
+    { heldCount: -hold.seats, registeredCount: hold.seats }
+  );
+}
+
+function releaseHold(transactionRef) {
+  return endHold({ transactionRef }, "released");
+}
+
+// Periodically frees lapsed holds; availability checks also sweep lazily per event.
+// `onSeatsFreed` is called with each event that got seats back.
+function startHoldSweeper(intervalMs, onSeatsFreed) {
+  const timer = setInterval(async () => {
+    try {
+      const eventIds = await releaseExpiredHolds();
+      if (onSeatsFreed) {
+        for (const eventId of eventIds) {
+          await onSeatsFreed(eventId);
+        }
+      }
+    } catch (error) {
+      console.error("Error releasing expired seat holds:", error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  availableSeats,
+  reserveSeats,
+  releaseSeats,
+  nextTicketId,
+  releaseHoldsFor,
+  createHold,
+  convertHold,
+  releaseHold,
+  releaseExpiredHolds,
+  startHoldSweeper,
+};
@@ -0,0 +1,110 @@
+const jwt = require("jsonwebtoken");
+
+const AdminSession = require("../models/AdminSession");
+const { generateToken, hashToken } = require("../utils/tokens");
+const { ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS } = require("../config/constants");
+
+// Previous refresh token hashes kept per session for reuse detection
+const MAX_PREVIOUS_HASHES = 20;
+
+function signAccessToken(admin, session) {
+  return jwt.sign(
+    { adminId: admin._id, email: admin.email, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+async function createSession(admin, req) {
+  const { token: refreshToken, tokenHash } = generateToken(48);
+
+  const session = await AdminSession.create({
+    admin: admin._id,
+    refreshTokenHash: tokenHash,
+    expiresAt: refreshExpiry(),
+    userAgent: req.headers["user-agent"],
+    ipAddress: req.ip,
+  });
+
+  return {
+    accessToken: signAccessToken(admin, session),
+    refreshToken,
+    session,
+  };
+}
+
+// Exchanges a refresh token for a new access/refresh pair. Presenting an already-rotated
+// token means it was copied, so the whole session is revoked.
+async function rotateSession(refreshToken, loadAdmin) {
+  const tokenHash = hashToken(refreshToken);
+  const session = await AdminSession.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await AdminSession.findOne({ previousTokenHashes: tokenHash });
+    if (reused && !reused.revokedAt) {
+      await revokeSession(reused._id, "refresh_token_reuse");
+    }
+    return { error: "Invalid refresh token" };
+  }
+
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    return { error: "Session has expired or been revoked" };
+  }
+
+  const admin = await loadAdmin(session.admin);
+  if (!admin || admin.disabled) {
+    await revokeSession(session._id, "admin_unavailable");
+    return { error: "Admin account is unavailable" };
+  }
+
+  const { token: nextRefreshToken, tokenHash: nextHash } = generateToken(48);
+  session.previousTokenHashes = [...session.previousTokenHashes, tokenHash].slice(-MAX_PREVIOUS_HASHES);
+  session.refreshTokenHash = nextHash;
+  session.expiresAt = refreshExpiry();
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return {
+    admin,
+    accessToken: signAccessToken(admin, session),
+    refreshToken: nextRefreshToken,
+    session,
+  };
+}
+
+async function findActiveSession(sessionId) {
+  if (!sessionId) return null;
+  const session = await AdminSession.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+  return session;
+}
+
+async function revokeSession(sessionId, reason = "logout") {
+  await AdminSession.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+async function revokeAllSessions(adminId, reason = "logout_all", exceptSessionId) {
+  const filter = { admin: adminId, revokedAt: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await AdminSession.updateMany(
+    filter,
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  findActiveSession,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+
+const Team = require("../models/Team");
+const Registration = require("../models/Registration");
+const { releaseSeats } = require("./seatService");
+
+// No 0/O or 1/I so codes can be read out loud and typed without confusion
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const JOIN_CODE_LENGTH = 6;
+
+const generateJoinCode = () =>
+  Array.from(
+    { length: JOIN_CODE_LENGTH },
+    () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]
+  ).join("");
+
+const normalizeJoinCode = (code) => String(code || "").trim().toUpperCase();
+
+const teamNameKey = (name) => String(name || "").trim().toLowerCase();
+
+// The event's team settings when it takes team registrations, otherwise null
+const teamSettingsOf = (event) =>
+  event.teamSettings && event.teamSettings.enabled ? event.teamSettings : null;
+
+// Validates team settings submitted with an event create/update. Resolves to { settings }
+// or { error }. Changes only apply to teams created afterwards; each existing team keeps
+// the seat counting it was created with.
+function normalizeTeamSettings(input) {
+  if (!input || !input.enabled) {
+    return { settings: { enabled: false } };
+  }
+
+  const minSize = input.minSize === undefined || input.minSize === "" ? 1 : Number(input.minSize);
+  if (!Number.isInteger(minSize) || minSize < 1) {
+    return { error: "Minimum team size must be a positive whole number" };
+  }
+
+  const maxSize = Number(input.maxSize);
+  if (!Number.isInteger(maxSize) || maxSize < minSize) {
+    return { error: "Maximum team size must be a whole number no smaller than the minimum" };
+  }
+
+  return {
+    settings: { enabled: true, minSize, maxSize, countSeatsByTeam: !!input.countSeatsByTeam },
+  };
+}
+
+// Works out what a registrant wants to do on a team event: create a team by name or join
+// one by its code. Resolves to { intent: null } for events without teams, otherwise
+// { intent: { teamName } | { team } } or { error }. Final checks happen in claimTeamSpot.
+async function resolveTeamIntent(event, { teamName, teamCode }) {
+  const settings = teamSettingsOf(event);
+  if (!settings) return { intent: null };
+
+  if (teamCode) {
+    const team = await Team.findOne({ eventId: event._id, joinCode: normalizeJoinCode(teamCode) });
+    if (!team) return { error: "No team found with this join code" };
+    if (team.memberCount >= settings.maxSize) return { error: `Team ${team.name} is full` };
+    return { intent: { team } };
+  }
+
+  const name = String(teamName || "").trim();
+  if (!name) return { error: "Enter a team name to create a team, or a join code to join one" };
+  if (await Team.exists({ eventId: event._id, nameKey: teamNameKey(name) })) {
+    return { error: "A team with this name is already registered" };
+  }
+  return { intent: { teamName: name } };
+}
+
+// The team intent a checkout's seat hold was created with, checked again now that the
+// registration is being created. Resolves like resolveTeamIntent.
+async function intentFromHold(event, hold) {
+  if (!hold || (!hold.teamId && !hold.teamName)) return { intent: null };
+  if (hold.teamName) return { intent: { teamName: hold.teamName } };
+
+  const team = await Team.findOne({ _id: hold.teamId, eventId: event._id });
+  return team ? { intent: { team } } : { error: "The team you were joining no longer exists" };
+}
+
+// Seats the registrant takes: none when joining a team whose seat already covers them
+function teamSeats(event, intent) {
+  const settings = teamSettingsOf(event);
+  if (!settings || !intent || !settings.countSeatsByTeam) return 1;
+  return intent.team ? 0 : 1;
+}
+
+// Creates the team or takes a place in it, atomically against the size limit. The caller
+// must already have reserved the seats from teamSeats. Resolves to { team, role } or { error }.
+async function claimTeamSpot(event, intent, { email, tierId } = {}) {
+  const settings = teamSettingsOf(event);
+
+  if (intent.team) {
+    const team = await Team.findOneAndUpdate(
+      { _id: intent.team._id, memberCount: { $lt: settings.maxSize } },
+      { $inc: { memberCount: 1 } },
+      { new: true }
+    );
+    return team ? { team, role: "member" } : { error: `Team ${intent.team.name} is full` };
+  }
+
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    try {
+      const team = await Team.create({
+        eventId: event._id,
+        name: intent.teamName,
+        nameKey: teamNameKey(intent.teamName),
+        joinCode: generateJoinCode(),
+        memberCount: 1,
+        holdsSeat: !!settings.countSeatsByTeam,
+        tierId: settings.countSeatsByTeam ? tierId : undefined,
+        createdBy: email,
+      });
+      return { team, role: "captain" };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (error.keyPattern && error.keyPattern.nameKey) {
+        return { error: "A team with this name is already registered" };
+      }
+      // Join code collision; try another one
+    }
+  }
+  throw new Error("Could not generate a unique team join code");
+}
+
+// Registration fields that place an attendee in a team claimed with claimTeamSpot
+const teamFields = ({ team, role }) => ({
+  teamId: team._id,
+  teamName: team.name,
+  teamRole: role,
+  seatHeldByTeam: team.holdsSeat || undefined,
+});
+
+// Gives up a place in a team. A team nobody is left in is removed, together with the seat
+// it held. Resolves to the team, or null once it has been removed.
+async function releaseTeamSpot(eventId, teamId) {
+  const team = await Team.findOneAndUpdate(
+    { _id: teamId, memberCount: { $gt: 0 } },
+    { $inc: { memberCount: -1 } },
+    { new: true }
+  );
+  if (!team || team.memberCount > 0) return team;
+
+  const removed = await Team.findOneAndDelete({ _id: teamId, memberCount: 0 });
+  if (removed && removed.holdsSeat) {
+    await releaseSeats(eventId, 1, removed.tierId);
+  }
+  return null;
+}
+
+// Takes a cancelled registration out of its team; when the captain leaves, the longest
+// standing teammate takes over
+async function leaveTeam(eventId, registration) {
+  const team = await releaseTeamSpot(eventId, registration.teamId);
+  if (team && registration.teamRole === "captain") {
+    await Registration.findOneAndUpdate(
+      { teamId: team._id, cancelledAt: { $exists: false } },
+      { $set: { teamRole: "captain" } },
+      { sort: { registrationDate: 1 } }
+    );
+  }
+}
+
+// Members a team still needs to reach the event's minimum size. Only members whose payment
+// is confirmed count.
+async function teamShortfall(event, teamId) {
+  const settings = teamSettingsOf(event);
+  if (!settings || !teamId) return 0;
+
+  const confirmed = await Registration.countDocuments({
+    teamId,
+    paymentStatus: "completed",
+    cancelledAt: { $exists: false },
+  });
+  return Math.max(settings.minSize - confirmed, 0);
+}
+
+// Teams of an event with their members, for admin views. A team is complete once it has
+// the minimum number of confirmed members. `registrations` are the event's registrations,
+// already loaded.
+async function teamRoster(event, registrations) {
+  const settings = teamSettingsOf(event);
+  const teams = await Team.find({ eventId: event._id }).sort({ createdAt: 1 }).lean();
+
+  return teams.map((team) => {
+    const members = registrations
+      .filter((r) => r.teamId && r.teamId.toString() === team._id.toString() && !r.cancelledAt)
+      .map((r) => ({
+        registrationId: r._id,
+        name: r.name,
+        email: r.email,
+        ticketId: r.ticketId,
+        role: r.teamRole,
+        paymentStatus: r.paymentStatus,
+        checkedIn: !!r.checkedInAt,
+      }));
+
+    const confirmedCount = members.filter((member) => member.paymentStatus === "completed").length;
+
+    return {
+      id: team._id,
+      name: team.name,
+      joinCode: team.joinCode,
+      memberCount: team.memberCount,
+      confirmedCount,
+      minSize: settings ? settings.minSize : null,
+      complete: !settings || confirmedCount >= settings.minSize,
+      full: !!settings && team.memberCount >= settings.maxSize,
+      createdAt: team.createdAt,
+      members,
+    };
+  });
+}
+
+module.exports = {
+  normalizeJoinCode,
+  teamSettingsOf,
+  normalizeTeamSettings,
+  resolveTeamIntent,
+  intentFromHold,
+  teamSeats,
+  claimTeamSpot,
+  teamFields,
+  releaseTeamSpot,
+  leaveTeam,
+  teamShortfall,
+  teamRoster,
+};
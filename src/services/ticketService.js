@@ -0,0 +1,20 @@
+const QRCode = require("qrcode");
+
+const { signTicketToken } = require("../utils/ticket");
+
+// Registration must already have its _id and eventId assigned (true for any new model instance)
+async function generateTicketQrCode(registration) {
+  return QRCode.toDataURL(signTicketToken(registration), {
+    errorCorrectionLevel: "H",
+    margin: 1,
+    width: 300,
+    color: {
+      dark: "#000000",
+      light: "#FFFFFF",
+    },
+  });
+}
+
+module.exports = {
+  generateTicketQrCode,
+};
@@ -0,0 +1,201 @@
+const mongoose = require("mongoose");
+
+const Event = require("../models/Event");
+const Registration = require("../models/Registration");
+const { availableSeats } = require("./seatService");
+
+const TIER_FIELDS = ["name", "description", "price", "seatQuota", "salesStart", "salesEnd"];
+
+const findTier = (event, tierId) =>
+  (event.ticketTiers || []).find((tier) => tier._id.toString() === String(tierId)) || null;
+
+const tierPrice = (event, tier) => (tier ? tier.price : event.fee);
+
+// Why a tier can't be bought right now, or null if it's on sale
+function tierSaleError(tier, now = new Date()) {
+  if (tier.salesStart && tier.salesStart > now) return `${tier.name} tickets are not on sale yet`;
+  if (tier.salesEnd && tier.salesEnd <= now) return `${tier.name} ticket sales have ended`;
+  return null;
+}
+
+// Picks the tier an attendee asked for. Events without tiers resolve to { tier: null };
+// events with tiers require a valid tier that is currently on sale.
+function resolveTier(event, tierId) {
+  if (!event.ticketTiers || event.ticketTiers.length === 0) return { tier: null };
+
+  if (!tierId) return { error: "Please choose a ticket type" };
+
+  const tier = findTier(event, tierId);
+  if (!tier) return { error: "Ticket type not found" };
+
+  const saleError = tierSaleError(tier);
+  return saleError ? { error: saleError } : { tier };
+}
+
+// Public view of an event's tiers with what's left in each
+const tierSummaries = (event) =>
+  (event.ticketTiers || []).map((tier) => ({
+    id: tier._id,
+    name: tier.name,
+    description: tier.description || "",
+    price: event.isFree ? 0 : tier.price,
+    seatQuota: tier.seatQuota ?? null,
+    availableSeats: availableSeats(event, tier),
+    salesStart: tier.salesStart || null,
+    salesEnd: tier.salesEnd || null,
+    onSale: !tierSaleError(tier),
+  }));
+
+// Validates tiers submitted with an event create/update. Tiers carrying an `id` update the
+// existing tier of that ID; the rest are new. Resolves to { tiers } or { error }.
+function normalizeTiers(input, existingTiers = []) {
+  if (!Array.isArray(input)) return { error: "ticketTiers must be an array" };
+
+  const names = new Set();
+  const tiers = [];
+  for (const raw of input) {
+    const tier = {};
+    TIER_FIELDS.forEach((field) => {
+      if (raw[field] !== undefined && raw[field] !== "") tier[field] = raw[field];
+    });
+
+    tier.name = String(tier.name || "").trim();
+    if (!tier.name) return { error: "Every ticket type needs a name" };
+    if (names.has(tier.name.toLowerCase())) {
+      return { error: `Ticket type "${tier.name}" is listed twice` };
+    }
+    names.add(tier.name.toLowerCase());
+
+    tier.price = tier.price === undefined ? 0 : Number(tier.price);
+    if (!(tier.price >= 0)) return { error: `Price for ${tier.name} must be zero or more` };
+
+    if (tier.seatQuota !== undefined && tier.seatQuota !== null) {
+      tier.seatQuota = Number(tier.seatQuota);
+      if (!Number.isInteger(tier.seatQuota) || tier.seatQuota <= 0) {
+        return { error: `Seat quota for ${tier.name} must be a positive whole number` };
+      }
+    }
+
+    if (tier.salesStart && tier.salesEnd && new Date(tier.salesEnd) <= new Date(tier.salesStart)) {
+      return { error: `Sales for ${tier.name} must end after they start` };
+    }
+
+    const id = raw.id || raw._id;
+    if (id) {
+      const existing = existingTiers.find((t) => t._id.toString() === String(id));
+      if (!existing) return { error: `Ticket type ${id} not found` };
+      const taken = (existing.registeredCount || 0) + (existing.heldCount || 0);
+      if (tier.seatQuota !== undefined && tier.seatQuota !== null && tier.seatQuota < taken) {
+        return { error: `${tier.name} already has ${taken} seats taken` };
+      }
+      tier._id = existing._id;
+    }
+
+    tiers.push(tier);
+  }
+
+  const keptIds = new Set(tiers.filter((t) => t._id).map((t) => t._id.toString()));
+  for (const existing of existingTiers) {
+    const taken = (existing.registeredCount || 0) + (existing.heldCount || 0);
+    if (!keptIds.has(existing._id.toString()) && taken > 0) {
+      return { error: `${existing.name} can't be removed because it already has registrations` };
+    }
+  }
+
+  return { tiers };
+}
+
+// Writes validated tiers to an existing event field by field, so the seat counters that
+// checkouts update concurrently are never overwritten
+async function syncTiers(event, tiers) {
+  const keptIds = tiers.filter((t) => t._id).map((t) => t._id);
+  await Event.updateOne(
+    { _id: event._id },
+    { $pull: { ticketTiers: { _id: { $nin: keptIds }, registeredCount: 0, heldCount: 0 } } }
+  );
+
+  for (const tier of tiers) {
+    if (!tier._id) {
+      await Event.updateOne(
+        { _id: event._id },
+        { $push: { ticketTiers: { ...tier, _id: new mongoose.Types.ObjectId() } } }
+      );
+      continue;
+    }
+
+    const set = {};
+    const unset = {};
+    TIER_FIELDS.forEach((field) => {
+      if (tier[field] === undefined) unset[`ticketTiers.$[tier].${field}`] = "";
+      else set[`ticketTiers.$[tier].${field}`] = tier[field];
+    });
+    await Event.updateOne(
+      { _id: event._id },
+      { $set: set, ...(Object.keys(unset).length > 0 && { $unset: unset }) },
+      { arrayFilters: [{ "tier._id": tier._id }] }
+    );
+  }
+
+  return Event.findById(event._id);
+}
+
+const emptyTally = () => ({ registered: 0, completed: 0, pending: 0, rejected: 0, cancelled: 0, revenue: 0 });
+
+// Registration counts and verified revenue per tier. Registrations made before the event had
+// tiers are reported under `untiered`.
+async function tierReport(event) {
+  const rows = await Registration.aggregate([
+    { $match: { eventId: event._id } },
+    {
+      $group: {
+        _id: { tierId: "$tierId", status: "$paymentStatus", cancelled: { $gt: ["$cancelledAt", null] } },
+        count: { $sum: 1 },
+        amount: { $sum: { $ifNull: ["$amountDue", event.fee || 0] } },
+      },
+    },
+  ]);
+
+  const tallies = new Map();
+  for (const row of rows) {
+    const key = row._id.tierId ? row._id.tierId.toString() : "untiered";
+    if (!tallies.has(key)) tallies.set(key, emptyTally());
+    const tally = tallies.get(key);
+
+    if (row._id.cancelled) {
+      tally.cancelled += row.count;
+      continue;
+    }
+    tally.registered += row.count;
+    if (row._id.status === "completed") {
+      tally.completed += row.count;
+      tally.revenue += row.amount;
+    } else if (row._id.status === "rejected") {
+      tally.rejected += row.count;
+    } else {
+      tally.pending += row.count;
+    }
+  }
+
+  return {
+    tiers: (event.ticketTiers || []).map((tier) => ({
+      id: tier._id,
+      name: tier.name,
+      price: tier.price,
+      seatQuota: tier.seatQuota ?? null,
+      heldSeats: tier.heldCount || 0,
+      availableSeats: availableSeats(event, tier),
+      ...(tallies.get(tier._id.toString()) || emptyTally()),
+    })),
+    untiered: tallies.get("untiered") || emptyTally(),
+  };
+}
+
+module.exports = {
+  findTier,
+  tierPrice,
+  resolveTier,
+  tierSummaries,
+  normalizeTiers,
+  syncTiers,
+  tierReport,
+};
@@ -0,0 +1,43 @@
+const crypto = require("crypto");
+
+const { verifyCode } = require("../utils/totp");
+const { hashToken } = require("../utils/tokens");
+const { BACKUP_CODE_COUNT } = require("../config/constants");
+
+// Backup codes look like "a1b2-c3d4" and are shown to the admin exactly once
+function generateBackupCodes(count = BACKUP_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString("hex");
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+function hashBackupCode(code) {
+  return hashToken(String(code).trim().toLowerCase().replace(/[^a-f0-9]/g, ""));
+}
+
+// Checks a TOTP code or, failing that, a backup code. A matching backup code is consumed,
+// so the admin document must have been loaded with +twoFactorSecret +backupCodeHashes.
+async function verifySecondFactor(admin, { twoFactorCode, backupCode }) {
+  if (twoFactorCode && verifyCode(admin.twoFactorSecret, twoFactorCode)) {
+    return true;
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    const index = (admin.backupCodeHashes || []).indexOf(hash);
+    if (index !== -1) {
+      admin.backupCodeHashes.splice(index, 1);
+      await admin.save();
+      return true;
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  generateBackupCodes,
+  verifySecondFactor,
+};
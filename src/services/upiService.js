@@ -0,0 +1,63 @@
+const QRCode = require("qrcode");
+
+const QR_OPTIONS = {
+  errorCorrectionLevel: "H",
+  margin: 1,
+  width: 300,
+  color: {
+    dark: "#000000",
+    light: "#FFFFFF",
+  },
+};
+
+// Generate a unique transaction reference
+const generateTransactionRef = () => {
+  return `YM${Date.now().toString().slice(-8)}${Math.floor(Math.random() * 10000)}`;
+};
+
+// Builds the UPI deep links and QR codes an attendee pays with. `amount` defaults to the
+// event fee; the transaction reference travels in the `tr` parameter for reconciliation.
+async function buildUpiPayment(event, { transactionRef, amount = event.fee }) {
+  // Format: upi://pay?pa=UPI_ID&pn=NAME&am=AMOUNT&tr=REF&tn=NOTE&cu=INR
+  const upiId = event.upiId || process.env.UPI_ID; // Use event's UPI ID if available, otherwise fallback to env
+  const merchantName = encodeURIComponent(process.env.MERCHANT_NAME || "Yellowmatics Events");
+  const note = encodeURIComponent(`Payment for ${event.name}`);
+
+  // Standard UPI link (works with most UPI apps)
+  const upiLink = `upi://pay?pa=${upiId}&pn=${merchantName}&am=${amount}&cu=INR&tr=${transactionRef}&tn=${note}`;
+
+  // Google Pay specific link
+  const gpayLink = `upi://pay?pa=${upiId}&pn=${merchantName}&am=${amount}&cu=INR&tr=${transactionRef}&tn=${note}&mode=04&purpose=00`;
+
+  // PhonePe specific link
+  const phonePeLink = `upi://pay?pa=${upiId}&pn=${merchantName}&am=${amount}&cu=INR&tr=${transactionRef}&tn=${note}&mc=0000&mode=04`;
+
+  const qrCode = await QRCode.toDataURL(upiLink, QR_OPTIONS);
+
+  // Backup QR code with a more compatible format for Google Pay, plus tracking metadata
+  const backupQrData = {
+    upiLink: `upi://pay?pa=${upiId}&pn=${merchantName}&am=${amount}&cu=INR&mode=04&purpose=00`,
+    eventName: event.name,
+    amount,
+    transactionRef,
+    timestamp: new Date().toISOString(),
+  };
+  const backupQrCode = await QRCode.toDataURL(JSON.stringify(backupQrData), QR_OPTIONS);
+
+  return {
+    transactionRef,
+    upiLink,
+    gpayLink,
+    phonePeLink,
+    qrCode,
+    backupQrCode,
+    upiId,
+    phoneNumber: event.phoneNumber || "",
+    amount,
+  };
+}
+
+module.exports = {
+  generateTransactionRef,
+  buildUpiPayment,
+};
@@ -0,0 +1,23 @@
+const cloudinary = require("cloudinary").v2;
+
+const { formUploadFolder } = require("../utils/customFields");
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Uploads a file answer to a registration form (a base64 data URL) and resolves to its URL
+async function uploadFormFile(dataUrl, eventId) {
+  const result = await cloudinary.uploader.upload(dataUrl, {
+    folder: formUploadFolder(eventId),
+    resource_type: "auto",
+    timeout: 60000,
+  });
+  return result.secure_url;
+}
+
+module.exports = {
+  uploadFormFile,
+};
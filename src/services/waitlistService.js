@@ -0,0 +1,126 @@
+const Event = require("../models/Event");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { queueEmail } = require("./outboxService");
+const { renderEmail, formatDateTime } = require("./emailTemplateService");
+const { createHold, releaseHold } = require("./seatService");
+const { generateTransactionRef } = require("./upiService");
+const { tierPrice, resolveTier } = require("./tierService");
+const { buildFromAddress } = require("../utils/email");
+const { generateToken } = require("../utils/tokens");
+const { WAITLIST_CLAIM_TTL_HOURS } = require("../config/constants");
+
+async function nextWaitlistPosition(eventId) {
+  const last = await WaitlistEntry.findOne({ eventId }).sort({ position: -1 }).select("position");
+  return (last ? last.position : 0) + 1;
+}
+
+// Offers whose claim window passed lose their place; the seat hold behind them lapses on
+// its own through the hold sweeper.
+async function expireStaleOffers(eventId) {
+  await WaitlistEntry.updateMany(
+    { eventId, status: "offered", offerExpiresAt: { $lte: new Date() } },
+    { $set: { status: "expired" }, $unset: { claimTokenHash: "" } }
+  );
+}
+
+// `amount` is the price held for the entry's ticket type
+async function sendOfferEmail(event, entry, claimLink, amount) {
+  const attendee = { ...entry.toObject(), amountDue: amount };
+  const { subject, html } = await renderEmail("waitlist_offer", event, attendee, {
+    offerExpiresAt: formatDateTime(entry.offerExpiresAt),
+    links: { claim: claimLink },
+  });
+
+  const emailUser = event.emailForNotifications || process.env.EMAIL_USER;
+  await queueEmail(
+    event,
+    { from: buildFromAddress(emailUser), to: entry.email, subject, html },
+    { template: "waitlist_offer" }
+  );
+}
+
+// Offers every free seat to the next people in line. Each offer holds a seat for the
+// claim window, so it can't be taken by someone else in the meantime, and records the
+// price of the ticket type waited for. People waiting for a ticket type that is sold out or
+// off sale keep their place while those behind them are offered other seats. Safe to call
+// whenever seats may have been freed.
+async function promoteWaitlist(eventId) {
+  await expireStaleOffers(eventId);
+
+  const event = await Event.findById(eventId);
+  if (!event || !event.waitlistEnabled) return 0;
+
+  let promoted = 0;
+  const skipped = [];
+  for (;;) {
+    const entry = await WaitlistEntry.findOne({ eventId, status: "waiting", _id: { $nin: skipped } }).sort({
+      position: 1,
+    });
+    if (!entry) break;
+
+    const { tier, error: tierError } = entry.tierId ? resolveTier(event, entry.tierId) : { tier: null };
+    if (tierError) {
+      skipped.push(entry._id);
+      continue;
+    }
+
+    const transactionRef = generateTransactionRef();
+    const hold = await createHold(eventId, {
+      transactionRef,
+      email: entry.email,
+      ttlMinutes: WAITLIST_CLAIM_TTL_HOURS * 60,
+      amount: event.isFree ? undefined : tierPrice(event, tier),
+      tierId: tier ? tier._id : undefined,
+    });
+    if (!hold) {
+      // Only this ticket type is full; others may still have room
+      if (!tier) break;
+      skipped.push(entry._id);
+      continue;
+    }
+
+    const { token, tokenHash } = generateToken();
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: "waiting" },
+      {
+        $set: {
+          status: "offered",
+          transactionRef,
+          claimTokenHash: tokenHash,
+          offeredAt: new Date(),
+          offerExpiresAt: hold.expiresAt,
+        },
+      },
+      { new: true }
+    );
+
+    // Another promotion run got to this entry first
+    if (!offered) {
+      await releaseHold(transactionRef);
+      continue;
+    }
+
+    promoted += 1;
+    const claimLink = `${process.env.CLIENT_URL}/waitlist/claim?token=${token}`;
+    try {
+      await sendOfferEmail(event, offered, claimLink, hold.amount);
+    } catch (emailError) {
+      console.error("Error sending waitlist offer email:", emailError);
+    }
+  }
+
+  return promoted;
+}
+
+// Fire-and-forget wrapper for request handlers that just freed seats
+function triggerWaitlistPromotion(eventId) {
+  promoteWaitlist(eventId).catch((error) => {
+    console.error("Error promoting waitlist:", error);
+  });
+}
+
+module.exports = {
+  nextWaitlistPosition,
+  promoteWaitlist,
+  triggerWaitlistPromotion,
+};
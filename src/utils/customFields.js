@@ -0,0 +1,357 @@
+const crypto = require("crypto");
+
+const { FORM_FILE_MAX_MB } = require("../config/constants");
+
+const FIELD_TYPES = [
+  "text",
+  "textarea",
+  "email",
+  "phone",
+  "url",
+  "number",
+  "date",
+  "select",
+  "radio",
+  "multiselect",
+  "checkbox",
+  "rating",
+  "file",
+];
+
+const CHOICE_TYPES = ["select", "radio", "multiselect"];
+
+const DEFAULT_RATING_SCALE = 5;
+const FILE_MIME_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif", "application/pdf"];
+
+const EMAIL_FORMAT = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_FORMAT = /^\+?[\d\s()-]+$/;
+const DATA_URL_FORMAT = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/;
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "") ||
+  (Array.isArray(value) && value.length === 0);
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+const optionalNumber = (value) => (value === undefined || value === null || value === "" ? undefined : Number(value));
+
+// Fields in the order attendees see them
+const orderedFields = (fields) =>
+  (fields || [])
+    .map((field, index) => ({ field, index }))
+    .sort((a, b) => (a.field.order ?? a.index) - (b.field.order ?? b.index))
+    .map(({ field }) => field);
+
+// Cloudinary folder that holds the files answered on an event's registration form
+const formUploadFolder = (eventId) => `form_uploads/${eventId}`;
+
+const isPendingUpload = (value) => typeof value === "string" && value.startsWith("data:");
+
+const newFieldId = () => crypto.randomBytes(6).toString("hex");
+
+// How answers to a field are matched to it across form versions
+const fieldKey = (field) => field.fieldId || field.fieldName;
+
+// Validates the form definition an admin submits with an event. `knownFields` are the fields
+// of the event's current and earlier form versions: a field sent with the `fieldId` of one of
+// them, or failing that with its name, keeps that ID, and any other field gets a new one.
+// Resolves to { fields } in display order, or { error }.
+function normalizeCustomFields(input, knownFields = []) {
+  if (!Array.isArray(input)) return { fields: [] };
+
+  const knownIds = new Set(knownFields.filter((field) => field.fieldId).map((field) => field.fieldId));
+  const claimedIds = new Set();
+  for (const raw of input) {
+    if (!raw || !raw.fieldId) continue;
+    if (!knownIds.has(raw.fieldId)) return { error: `Custom field ${raw.fieldId} not found` };
+    if (claimedIds.has(raw.fieldId)) return { error: `Custom field ${raw.fieldId} is listed twice` };
+    claimedIds.add(raw.fieldId);
+  }
+
+  const fields = [];
+  const names = new Set();
+  for (const [index, raw] of input.entries()) {
+    const fieldName = String((raw && raw.fieldName) || "").trim();
+    if (!fieldName) return { error: "All custom fields must have a name" };
+    if (names.has(fieldName)) return { error: `Custom field "${fieldName}" is listed twice` };
+    names.add(fieldName);
+
+    let fieldId = raw.fieldId;
+    if (!fieldId) {
+      const sameName = knownFields.find(
+        (field) => field.fieldId && field.fieldName === fieldName && !claimedIds.has(field.fieldId)
+      );
+      fieldId = sameName ? sameName.fieldId : newFieldId();
+      claimedIds.add(fieldId);
+    }
+
+    const field = {
+      fieldId,
+      fieldName,
+      fieldType: FIELD_TYPES.includes(raw.fieldType) ? raw.fieldType : "text",
+      isRequired: !!raw.isRequired,
+      options: Array.isArray(raw.options) ? raw.options.map(String) : [],
+      placeholder: raw.placeholder || "",
+      helpText: raw.helpText || "",
+      order: optionalNumber(raw.order) ?? index,
+      min: optionalNumber(raw.min),
+      max: optionalNumber(raw.max),
+    };
+
+    if (CHOICE_TYPES.includes(field.fieldType) && field.options.length === 0) {
+      return { error: `${fieldName} needs at least one option` };
+    }
+    for (const bound of ["min", "max"]) {
+      if (field[bound] !== undefined && !Number.isFinite(field[bound])) {
+        return { error: `${bound} for ${fieldName} must be a number` };
+      }
+    }
+    if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+      return { error: `min for ${fieldName} can't be more than its max` };
+    }
+
+    if (raw.pattern) {
+      try {
+        new RegExp(raw.pattern);
+      } catch (error) {
+        return { error: `Pattern for ${fieldName} is not a valid regular expression` };
+      }
+      field.pattern = String(raw.pattern);
+    }
+
+    if (raw.showWhen && raw.showWhen.fieldName) {
+      const values = [].concat(raw.showWhen.values ?? raw.showWhen.value ?? []).map(String);
+      if (values.length === 0) {
+        return { error: `${fieldName} needs the answers that make it visible` };
+      }
+      field.showWhen = { fieldName: String(raw.showWhen.fieldName), values };
+    }
+
+    fields.push(field);
+  }
+
+  // A field can only depend on one shown before it, which also rules out cycles
+  const ordered = orderedFields(fields);
+  for (const [position, field] of ordered.entries()) {
+    if (!field.showWhen) continue;
+    const controller = ordered.findIndex((other) => other.fieldName === field.showWhen.fieldName);
+    if (controller === -1 || controller >= position) {
+      return { error: `${field.fieldName} can only depend on a field shown before it` };
+    }
+  }
+
+  return { fields: ordered };
+}
+
+// Checkboxes arrive as booleans from JSON clients and as strings from form posts
+function toCheckbox(value) {
+  if (value === true || value === "true" || value === "on" || value === 1 || value === "1") return true;
+  if (value === false || value === "false" || value === 0 || value === "0") return false;
+  return null;
+}
+
+function checkLength(field, value) {
+  if (field.min !== undefined && value.length < field.min) {
+    return `Must be at least ${field.min} characters`;
+  }
+  if (field.max !== undefined && value.length > field.max) {
+    return `Must be at most ${field.max} characters`;
+  }
+  if (field.pattern && !new RegExp(field.pattern).test(value)) {
+    return "Doesn't match the expected format";
+  }
+  return null;
+}
+
+function checkFile(field, value, uploadedAnswers) {
+  // A file uploaded with an earlier step of the same registration comes back as the URL
+  // stored for this very field
+  if (uploadedAnswers && uploadedAnswers.get(field.fieldName) === value) return null;
+
+  const match = typeof value === "string" && value.match(DATA_URL_FORMAT);
+  if (!match) return "Must be an uploaded file";
+  if (!FILE_MIME_TYPES.includes(match[1])) return "Must be an image or a PDF";
+
+  const maxMb = field.max ?? FORM_FILE_MAX_MB;
+  const bytes = Math.floor((match[2].replace(/\s/g, "").length * 3) / 4);
+  if (bytes > maxMb * 1024 * 1024) return `Must be at most ${maxMb} MB`;
+  return null;
+}
+
+// Converts one answer to the type its field expects. Resolves to { value } or { error }.
+function coerceAnswer(field, raw, uploadedAnswers) {
+  const value = typeof raw === "string" ? raw.trim() : raw;
+
+  switch (field.fieldType) {
+    case "number": {
+      const number = typeof value === "number" ? value : Number(value);
+      if (typeof value === "boolean" || !Number.isFinite(number)) return { error: "Must be a number" };
+      if (field.min !== undefined && number < field.min) return { error: `Must be at least ${field.min}` };
+      if (field.max !== undefined && number > field.max) return { error: `Must be at most ${field.max}` };
+      return { value: number };
+    }
+    case "rating": {
+      const scale = field.max ?? DEFAULT_RATING_SCALE;
+      const rating = Number(value);
+      if (!Number.isInteger(rating) || rating < 1 || rating > scale) {
+        return { error: `Must be a rating from 1 to ${scale}` };
+      }
+      return { value: rating };
+    }
+    case "date":
+      if (typeof value !== "string" || Number.isNaN(Date.parse(value))) {
+        return { error: "Must be a valid date" };
+      }
+      return { value };
+    case "email":
+      if (typeof value !== "string" || !EMAIL_FORMAT.test(value)) {
+        return { error: "Must be a valid email address" };
+      }
+      return { value: value.toLowerCase() };
+    case "phone": {
+      const digits = String(value).replace(/\D/g, "");
+      if (!PHONE_FORMAT.test(String(value)) || digits.length < 7 || digits.length > 15) {
+        return { error: "Must be a valid phone number" };
+      }
+      const error = checkLength(field, String(value));
+      return error ? { error } : { value: String(value) };
+    }
+    case "url": {
+      let url;
+      try {
+        url = new URL(String(value));
+      } catch (error) {
+        return { error: "Must be a valid URL" };
+      }
+      if (!["http:", "https:"].includes(url.protocol)) return { error: "Must be a web address" };
+      const error = checkLength(field, String(value));
+      return error ? { error } : { value: String(value) };
+    }
+    case "select":
+    case "radio":
+      if (!field.options.includes(String(value))) {
+        return { error: `Must be one of: ${field.options.join(", ")}` };
+      }
+      return { value: String(value) };
+    case "multiselect": {
+      let choices = value;
+      if (typeof choices === "string") {
+        try {
+          choices = JSON.parse(choices);
+        } catch (error) {
+          choices = choices.split(",").map((choice) => choice.trim());
+        }
+      }
+      if (!Array.isArray(choices)) return { error: "Must be a list of options" };
+      choices = [...new Set(choices.map(String))];
+      const invalid = choices.filter((choice) => !field.options.includes(choice));
+      if (invalid.length > 0) return { error: `Must be chosen from: ${field.options.join(", ")}` };
+      if (field.min !== undefined && choices.length < field.min) {
+        return { error: `Choose at least ${field.min}` };
+      }
+      if (field.max !== undefined && choices.length > field.max) {
+        return { error: `Choose at most ${field.max}` };
+      }
+      return { value: choices };
+    }
+    case "checkbox": {
+      const checked = toCheckbox(value);
+      return checked === null ? { error: "Must be checked or unchecked" } : { value: checked };
+    }
+    case "file": {
+      const error = checkFile(field, value, uploadedAnswers);
+      return error ? { error } : { value };
+    }
+    default: {
+      if (typeof value === "object") return { error: "Must be text" };
+      const error = checkLength(field, String(value));
+      return error ? { error } : { value: String(value) };
+    }
+  }
+}
+
+// Whether the answer a field depends on is one of those that make it visible
+function conditionMet(field, values) {
+  if (!field.showWhen) return true;
+  if (!values.has(field.showWhen.fieldName)) return false;
+  const answer = values.get(field.showWhen.fieldName);
+  return [].concat(answer).some((choice) => field.showWhen.values.includes(String(choice)));
+}
+
+// Checks an attendee's answers (a Map of field name to value) against the event's form.
+// Answers to fields hidden by their conditions are dropped. Resolves to { values } with the
+// answers converted to their field types (file answers still hold the uploaded data URL,
+// see isPendingUpload), or { errors } mapping each offending field name to a message.
+// `uploadedAnswers` are the answers stored for an earlier step of the same registration (a
+// Map); a file answer may repeat the URL stored for its field there.
+function validateCustomFieldValues(fields, answers, uploadedAnswers) {
+  const errors = {};
+  const values = new Map();
+  const ordered = orderedFields(fields);
+  const fieldNames = new Set(ordered.map((field) => field.fieldName));
+
+  answers.forEach((value, key) => {
+    if (!fieldNames.has(key)) errors[key] = "Unknown field";
+  });
+
+  for (const field of ordered) {
+    if (!conditionMet(field, values)) continue;
+
+    const name = field.fieldName;
+    const raw = answers.get(name);
+    if (isBlank(raw)) {
+      if (field.isRequired) errors[name] = "This field is required";
+      continue;
+    }
+
+    const { value, error } = coerceAnswer(field, raw, uploadedAnswers);
+    if (error) {
+      errors[name] = error;
+    } else if (field.fieldType === "checkbox" && field.isRequired && !value) {
+      errors[name] = "This box must be checked";
+    } else {
+      values.set(name, value);
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { values };
+}
+
+// Cell value for an answer in the registrations export
+function renderCustomFieldValue(field, value) {
+  if (isBlank(value)) return "";
+
+  switch (field.fieldType) {
+    case "checkbox":
+      return toCheckbox(value) ? "Yes" : "No";
+    case "multiselect":
+      return [].concat(value).join(", ");
+    case "number":
+      return isNumber(Number(value)) ? Number(value) : String(value);
+    case "rating":
+      return `${value} / ${field.max ?? DEFAULT_RATING_SCALE}`;
+    case "date": {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? String(value) : date;
+    }
+    case "file":
+    case "url":
+      return { text: field.fieldType === "file" ? "View file" : String(value), hyperlink: String(value) };
+    default:
+      return String(value);
+  }
+}
+
+module.exports = {
+  FIELD_TYPES,
+  newFieldId,
+  fieldKey,
+  orderedFields,
+  normalizeCustomFields,
+  validateCustomFieldValues,
+  isPendingUpload,
+  formUploadFolder,
+  renderCustomFieldValue,
+};
@@ -0,0 +1,98 @@
+function normalizeAddress(address) {
+  if (!address) return "";
+  return Array.isArray(address) ? address.join(", ") : address;
+}
+
+// Builds the raw MIME message for an email, attachments and inline (cid) images included
+function buildMimeMessage(mailOptions = {}) {
+  const {
+    from,
+    to,
+    cc,
+    bcc,
+    subject = "",
+    text = "",
+    html = "",
+    attachments = [],
+    messageId,
+  } = mailOptions;
+
+  if (!from || !to) {
+    throw new Error("Both 'from' and 'to' fields are required for email sending.");
+  }
+
+  const newline = "\r\n";
+  const hasAttachments = attachments.length > 0;
+  const boundary = `====MIME_BOUNDARY_${Date.now()}====`;
+  const headers = [
+    `From: ${from}`,
+    `To: ${normalizeAddress(to)}`,
+  ];
+
+  if (cc) headers.push(`Cc: ${normalizeAddress(cc)}`);
+  if (bcc) headers.push(`Bcc: ${normalizeAddress(bcc)}`);
+  if (messageId) headers.push(`Message-ID: ${messageId}`);
+
+  headers.push(
+    `Date: ${new Date().toUTCString()}`,
+    `Subject: ${subject}`,
+    "MIME-Version: 1.0",
+    hasAttachments
+      ? `Content-Type: multipart/mixed; boundary="${boundary}"`
+      : html
+        ? 'Content-Type: text/html; charset="UTF-8"'
+        : 'Content-Type: text/plain; charset="UTF-8"'
+  );
+
+  const body = [];
+
+  if (hasAttachments) {
+    body.push(`--${boundary}`);
+    body.push('Content-Type: text/html; charset="UTF-8"');
+    body.push("Content-Transfer-Encoding: 7bit", "");
+    body.push(html || text || "");
+
+    attachments.forEach((attachment) => {
+      const {
+        filename = "attachment",
+        content,
+        contentType = "application/octet-stream",
+        cid,
+        encoding,
+      } = attachment;
+
+      if (!content) {
+        return;
+      }
+
+      const base64Content =
+        encoding === "base64"
+          ? content
+          : Buffer.from(content, encoding || "utf-8").toString("base64");
+
+      body.push("");
+      body.push(`--${boundary}`);
+      body.push(
+        `${cid ? "Content-Disposition: inline" : "Content-Disposition: attachment"}; filename="${filename}"`
+      );
+      body.push(`Content-Type: ${contentType}; name="${filename}"`);
+      if (cid) {
+        body.push(`Content-ID: <${cid}>`);
+      }
+      body.push("Content-Transfer-Encoding: base64", "");
+      body.push(base64Content.replace(/(.{76})/g, "$1\n"));
+    });
+
+    body.push("");
+    body.push(`--${boundary}--`);
+  } else {
+    body.push("");
+    body.push(html || text || "");
+  }
+
+  return headers.concat("", body).join(newline);
+}
+
+module.exports = {
+  buildMimeMessage,
+};
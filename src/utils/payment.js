@@ -0,0 +1,16 @@
+// UPI UTRs (also shown as RRN / UPI Ref No.) are 12-digit numbers
+const UTR_FORMAT = /^\d{12}$/;
+
+// Attendees often paste UTRs with spaces or dashes from their UPI app
+const normalizeUtr = (value) => String(value || "").replace(/[\s-]/g, "");
+
+const isValidUtr = (value) => UTR_FORMAT.test(value);
+
+// Compares phone numbers by their last 10 digits so "+91 98765 43210" matches "9876543210"
+const normalizePhone = (value) => String(value || "").replace(/\D/g, "").slice(-10);
+
+module.exports = {
+  normalizeUtr,
+  isValidUtr,
+  normalizePhone,
+};
@@ -0,0 +1,30 @@
+const HEX = /^[0-9a-f]+$/i;
+
+// Number of differing bits between two perceptual hashes given as hex strings (Cloudinary
+// returns 64-bit pHashes). Resolves to Infinity if the hashes can't be compared.
+function hammingDistance(hashA, hashB) {
+  if (!HEX.test(hashA || "") || !HEX.test(hashB || "") || hashA.length !== hashB.length) {
+    return Infinity;
+  }
+
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+// The hash's hex digits tagged with their position, e.g. ["0:f", "1:3", ...]. Hashes that
+// differ in at most N bits differ in at most N digits, so they share all but N of these,
+// which lets near matches be looked up through an index.
+function hashBands(hash) {
+  if (!HEX.test(hash || "")) return undefined;
+  return [...hash.toLowerCase()].map((digit, index) => `${index}:${digit}`);
+}
+
+module.exports = {
+  hammingDistance,
+  hashBands,
+};
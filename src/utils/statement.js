@@ -0,0 +1,142 @@
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+
+// Header spellings seen across bank and UPI app exports, compared after normalizeHeader
+const COLUMN_ALIASES = {
+  credit: ["credit", "credit amount", "deposit", "deposit amount", "deposits", "cr amount", "amount cr"],
+  amount: ["amount", "amount inr", "amount rs", "txn amount", "transaction amount"],
+  debit: ["debit", "debit amount", "withdrawal", "withdrawal amount", "withdrawals", "dr amount", "amount dr"],
+  type: ["type", "dr cr", "cr dr", "transaction type", "txn type"],
+  utr: [
+    "utr",
+    "utr no",
+    "utr number",
+    "rrn",
+    "upi ref no",
+    "upi reference",
+    "upi transaction id",
+    "bank reference no",
+    "reference no",
+    "ref no",
+    "transaction id",
+  ],
+  description: ["description", "narration", "remarks", "particulars", "transaction remarks", "details", "note"],
+  date: ["date", "txn date", "transaction date", "value date"],
+};
+
+const HEADER_SCAN_ROWS = 25;
+
+// Transaction references produced by generateTransactionRef
+const TRANSACTION_REF_PATTERN = /\bYM\d{8,12}\b/gi;
+// UPI UTR / RRN numbers are 12 digits
+const UTR_PATTERN = /\b\d{12}\b/g;
+
+const normalizeHeader = (value) =>
+  value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("");
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    return "";
+  }
+  return String(value).trim();
+}
+
+// "₹1,500.00 Cr" -> 1500. Resolves to null for blanks and anything that isn't a number.
+function parseAmount(text) {
+  const match = text.replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+  if (!match) return null;
+  return Number(match[0]);
+}
+
+function findColumns(headerValues) {
+  const columns = {};
+  headerValues.forEach((value, index) => {
+    const header = normalizeHeader(cellText(value));
+    if (!header) return;
+    for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+      if (columns[key] === undefined && aliases.includes(header)) {
+        columns[key] = index;
+      }
+    }
+  });
+  return columns;
+}
+
+async function loadWorksheet(buffer, format) {
+  const workbook = new ExcelJS.Workbook();
+  if (format === "csv") {
+    // Keep every value as text so UTRs and references aren't turned into numbers
+    return workbook.csv.read(Readable.from(buffer), { map: (datum) => (datum === "" ? null : datum) });
+  }
+  await workbook.xlsx.load(buffer);
+  return workbook.worksheets[0];
+}
+
+// Reads a bank or UPI settlement statement into credit rows. Preamble lines above the
+// header are skipped and debit rows are counted but not returned. Resolves to null when no
+// header row with an amount column can be found.
+async function parseStatement(buffer, format) {
+  const worksheet = await loadWorksheet(buffer, format);
+  if (!worksheet) return null;
+
+  let headerRowNumber = null;
+  let columns = null;
+  for (let rowNumber = 1; rowNumber <= Math.min(worksheet.rowCount, HEADER_SCAN_ROWS); rowNumber++) {
+    const candidate = findColumns(worksheet.getRow(rowNumber).values);
+    const hasAmount = candidate.credit !== undefined || candidate.amount !== undefined;
+    if (hasAmount && (candidate.description !== undefined || candidate.utr !== undefined)) {
+      headerRowNumber = rowNumber;
+      columns = candidate;
+      break;
+    }
+  }
+  if (!columns) return null;
+
+  const rows = [];
+  let skippedRows = 0;
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber <= headerRowNumber) return;
+
+    const values = row.values;
+    const textAt = (key) => (columns[key] === undefined ? "" : cellText(values[columns[key]]));
+    const text = values.map(cellText).filter(Boolean).join(" ");
+
+    let amount = parseAmount(columns.credit !== undefined ? textAt("credit") : textAt("amount"));
+    const type = textAt("type").toLowerCase();
+    if (amount !== null && (type.startsWith("dr") || type.startsWith("debit"))) {
+      amount = -amount;
+    }
+
+    if (amount === null || amount <= 0) {
+      skippedRows += 1;
+      return;
+    }
+
+    const utrText = textAt("utr").replace(/[^0-9a-z]/gi, "");
+    const utrs = utrText ? [utrText] : text.match(UTR_PATTERN) || [];
+
+    rows.push({
+      rowNumber,
+      date: textAt("date"),
+      amount,
+      utr: utrs[0] || null,
+      utrs: [...new Set(utrs)],
+      references: [...new Set((text.match(TRANSACTION_REF_PATTERN) || []).map((ref) => ref.toUpperCase()))],
+      description: textAt("description") || text,
+    });
+  });
+
+  return { rows, skippedRows };
+}
+
+module.exports = {
+  parseStatement,
+};
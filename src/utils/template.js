@@ -0,0 +1,86 @@
+// Minimal {{variable}} templates for emails. `{{path.to.value}}` inserts a value,
+// `{{#name}}...{{/name}}` keeps its content only when the value is set (non-empty, non-zero,
+// not false) and `{{^name}}...{{/name}}` only when it isn't. There is deliberately no way to
+// insert unescaped values, since they often come from attendees.
+const TAG = /\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const lookup = (context, path) =>
+  path.split(".").reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+
+const isSet = (value) =>
+  value !== undefined &&
+  value !== null &&
+  value !== false &&
+  value !== "" &&
+  value !== 0 &&
+  !(Array.isArray(value) && value.length === 0);
+
+// Parses a template into text, variable and section nodes. Resolves to { nodes } or { error }.
+function parseTemplate(source) {
+  const root = [];
+  const stack = [{ name: null, nodes: root }];
+  let last = 0;
+
+  for (const match of String(source || "").matchAll(TAG)) {
+    const [tag, kind, name] = match;
+    const open = stack[stack.length - 1];
+    if (match.index > last) open.nodes.push({ text: source.slice(last, match.index) });
+    last = match.index + tag.length;
+
+    if (kind === "#" || kind === "^") {
+      const section = { section: name, inverted: kind === "^", nodes: [] };
+      open.nodes.push(section);
+      stack.push({ name, nodes: section.nodes });
+    } else if (kind === "/") {
+      if (open.name !== name) return { error: `{{/${name}}} does not close an open section` };
+      stack.pop();
+    } else {
+      open.nodes.push({ variable: name });
+    }
+  }
+
+  if (stack.length > 1) return { error: `{{#${stack[stack.length - 1].name}}} is never closed` };
+  if (last < String(source || "").length) root.push({ text: source.slice(last) });
+  return { nodes: root };
+}
+
+// Names of all values a template refers to, sections included
+function templateVariables(source) {
+  const names = new Set();
+  for (const [, , name] of String(source || "").matchAll(TAG)) names.add(name);
+  return [...names];
+}
+
+function renderNodes(nodes, context, escape) {
+  return nodes
+    .map((node) => {
+      if (node.text !== undefined) return node.text;
+      if (node.variable) {
+        const value = lookup(context, node.variable);
+        if (value === undefined || value === null) return "";
+        return escape ? escapeHtml(value) : String(value);
+      }
+      const shown = isSet(lookup(context, node.section)) !== node.inverted;
+      return shown ? renderNodes(node.nodes, context, escape) : "";
+    })
+    .join("");
+}
+
+// Renders a template, HTML-escaping every value unless `escape` is false. Throws if the
+// template doesn't parse.
+function renderTemplate(source, context, { escape = true } = {}) {
+  const { nodes, error } = parseTemplate(source);
+  if (error) throw new Error(error);
+  return renderNodes(nodes, context, escape);
+}
+
+module.exports = {
+  escapeHtml,
+  parseTemplate,
+  templateVariables,
+  renderTemplate,
+};
@@ -0,0 +1,47 @@
+const jwt = require("jsonwebtoken");
+
+// Tickets carry only IDs, signed with a server secret, so a QR code can neither be forged
+// nor leak attendee details. A dedicated secret lets tickets outlive admin JWT rotation.
+const getTicketSecret = () => process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const signTicketToken = (registration) =>
+  jwt.sign(
+    { r: registration._id.toString(), e: registration.eventId.toString() },
+    getTicketSecret(),
+    { noTimestamp: true }
+  );
+
+// Links in emails carry a purpose claim so they can never double as a ticket QR code
+const signCancellationToken = (registration) =>
+  jwt.sign(
+    { r: registration._id.toString(), e: registration.eventId.toString(), p: "cancel" },
+    getTicketSecret(),
+    { noTimestamp: true }
+  );
+
+const decodeSignedRegistration = (token, purpose) => {
+  if (!token || typeof token !== "string") return null;
+
+  try {
+    const decoded = jwt.verify(token.trim(), getTicketSecret());
+    if (!decoded.r || !decoded.e || decoded.p !== purpose) return null;
+    return { registrationId: decoded.r, eventId: decoded.e };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Returns { registrationId, eventId } for a genuine ticket, or null for anything else
+const verifyTicketToken = (token) => decodeSignedRegistration(token, undefined);
+
+const verifyCancellationToken = (token) => decodeSignedRegistration(token, "cancel");
+
+const buildCancellationLink = (registration) =>
+  `${process.env.CLIENT_URL}/cancel-registration?token=${signCancellationToken(registration)}`;
+
+module.exports = {
+  signTicketToken,
+  verifyTicketToken,
+  verifyCancellationToken,
+  buildCancellationLink,
+};
@@ -0,0 +1,14 @@
+const crypto = require("crypto");
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Creates a random one-time token; persist only the hash and hand the token to the user
+const generateToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString("hex");
+  return { token, tokenHash: hashToken(token) };
+};
+
+module.exports = {
+  generateToken,
+  hashToken,
+};
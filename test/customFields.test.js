@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeCustomFields, validateCustomFieldValues } = require("../src/utils/customFields");
+
+const PNG_DATA_URL = "data:image/png;base64,iVBORw0KGgo=";
+
+test("normalizeCustomFields gives new fields an ID and keeps the ID of known ones", () => {
+  const known = [{ fieldId: "abc123", fieldName: "College" }];
+  const { fields } = normalizeCustomFields(
+    [
+      { fieldName: "College", fieldType: "text" },
+      { fieldName: "T-shirt", fieldType: "select", options: ["S", "M"] },
+    ],
+    known
+  );
+
+  assert.equal(fields[0].fieldId, "abc123");
+  assert.match(fields[1].fieldId, /^[0-9a-f]{12}$/);
+  assert.deepEqual(fields[1].options, ["S", "M"]);
+});
+
+test("normalizeCustomFields falls back to text for unknown field types", () => {
+  const { fields } = normalizeCustomFields([{ fieldName: "Notes", fieldType: "essay" }]);
+  assert.equal(fields[0].fieldType, "text");
+});
+
+test("normalizeCustomFields sorts fields by their order", () => {
+  const { fields } = normalizeCustomFields([
+    { fieldName: "Second", order: 2 },
+    { fieldName: "First", order: 1 },
+  ]);
+  assert.deepEqual(
+    fields.map((field) => field.fieldName),
+    ["First", "Second"]
+  );
+});
+
+test("normalizeCustomFields rejects invalid form definitions", () => {
+  assert.deepEqual(normalizeCustomFields([{ fieldName: " " }]), {
+    error: "All custom fields must have a name",
+  });
+  assert.deepEqual(normalizeCustomFields([{ fieldName: "A" }, { fieldName: "A" }]), {
+    error: 'Custom field "A" is listed twice',
+  });
+  assert.deepEqual(normalizeCustomFields([{ fieldName: "Size", fieldType: "radio" }]), {
+    error: "Size needs at least one option",
+  });
+  assert.deepEqual(normalizeCustomFields([{ fieldName: "Age", min: 10, max: 5 }]), {
+    error: "min for Age can't be more than its max",
+  });
+  assert.deepEqual(normalizeCustomFields([{ fieldName: "Code", pattern: "(" }]), {
+    error: "Pattern for Code is not a valid regular expression",
+  });
+  assert.deepEqual(normalizeCustomFields([{ fieldId: "missing", fieldName: "A" }]), {
+    error: "Custom field missing not found",
+  });
+});
+
+test("normalizeCustomFields only lets a field depend on one shown before it", () => {
+  const result = normalizeCustomFields([
+    { fieldName: "Diet", showWhen: { fieldName: "Meal", values: ["Yes"] } },
+    { fieldName: "Meal", fieldType: "radio", options: ["Yes", "No"] },
+  ]);
+  assert.deepEqual(result, { error: "Diet can only depend on a field shown before it" });
+});
+
+test("validateCustomFieldValues converts answers to their field types", () => {
+  const { fields } = normalizeCustomFields([
+    { fieldName: "Age", fieldType: "number", min: 1 },
+    { fieldName: "Email", fieldType: "email" },
+    { fieldName: "Topics", fieldType: "multiselect", options: ["AI", "Web"] },
+    { fieldName: "Agree", fieldType: "checkbox", isRequired: true },
+  ]);
+
+  const result = validateCustomFieldValues(
+    fields,
+    new Map([
+      ["Age", "21"],
+      ["Email", " Someone@Example.com "],
+      ["Topics", '["AI","AI"]'],
+      ["Agree", "on"],
+    ])
+  );
+
+  assert.deepEqual(
+    result.values,
+    new Map([
+      ["Age", 21],
+      ["Email", "someone@example.com"],
+      ["Topics", ["AI"]],
+      ["Agree", true],
+    ])
+  );
+});
+
+test("validateCustomFieldValues reports every offending field", () => {
+  const { fields } = normalizeCustomFields([
+    { fieldName: "Name", isRequired: true },
+    { fieldName: "Age", fieldType: "number", max: 99 },
+    { fieldName: "Agree", fieldType: "checkbox", isRequired: true },
+  ]);
+
+  const result = validateCustomFieldValues(
+    fields,
+    new Map([
+      ["Age", 120],
+      ["Agree", false],
+      ["Extra", "x"],
+    ])
+  );
+
+  assert.deepEqual(result.errors, {
+    Name: "This field is required",
+    Age: "Must be at most 99",
+    Agree: "This box must be checked",
+    Extra: "Unknown field",
+  });
+});
+
+test("validateCustomFieldValues drops answers to hidden fields", () => {
+  const { fields } = normalizeCustomFields([
+    { fieldName: "Meal", fieldType: "radio", options: ["Yes", "No"] },
+    { fieldName: "Diet", isRequired: true, showWhen: { fieldName: "Meal", values: ["Yes"] } },
+  ]);
+
+  const result = validateCustomFieldValues(
+    fields,
+    new Map([
+      ["Meal", "No"],
+      ["Diet", "Vegan"],
+    ])
+  );
+
+  assert.deepEqual(result.values, new Map([["Meal", "No"]]));
+});
+
+test("validateCustomFieldValues accepts a file only as an upload or the URL stored for it", () => {
+  const { fields } = normalizeCustomFields([{ fieldName: "ID card", fieldType: "file" }]);
+  const storedUrl = "https://res.cloudinary.com/demo/image/upload/form_uploads/1/id.png";
+  const uploadedAnswers = new Map([["ID card", storedUrl]]);
+
+  assert.ok(validateCustomFieldValues(fields, new Map([["ID card", PNG_DATA_URL]])).values);
+  assert.ok(validateCustomFieldValues(fields, new Map([["ID card", storedUrl]]), uploadedAnswers).values);
+
+  // Someone else's upload to the same event folder isn't this registration's file
+  const otherUrl = "https://res.cloudinary.com/demo/image/upload/form_uploads/1/other.png";
+  assert.deepEqual(
+    validateCustomFieldValues(fields, new Map([["ID card", otherUrl]]), uploadedAnswers).errors,
+    { "ID card": "Must be an uploaded file" }
+  );
+  assert.deepEqual(validateCustomFieldValues(fields, new Map([["ID card", storedUrl]])).errors, {
+    "ID card": "Must be an uploaded file",
+  });
+});
@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Counter = require("../src/models/Counter");
+const Event = require("../src/models/Event");
+const Registration = require("../src/models/Registration");
+const { approvePayment, rejectPayment } = require("../src/services/paymentReviewService");
+
+const eventId = new mongoose.Types.ObjectId();
+
+// A registration as loaded before review; its ticket is already issued so no QR code is drawn
+const pendingRegistration = (fields = {}) =>
+  new Registration({
+    name: "Asha",
+    email: "asha@example.com",
+    eventId,
+    paymentStatus: "pending",
+    paymentScreenshot: "https://example.com/screenshot.png",
+    ticketId: 4,
+    ticket: "data:image/png;base64,AAAA",
+    ...fields,
+  });
+
+test("approvePayment verifies a pending payment", async (t) => {
+  const registration = pendingRegistration();
+  const verified = pendingRegistration({ _id: registration._id, paymentStatus: "completed" });
+  const update = t.mock.method(Registration, "findOneAndUpdate", async (filter) =>
+    filter.paymentStatus ? registration : verified
+  );
+
+  const result = await approvePayment(null, registration, { verifiedBy: "admin@example.com" });
+
+  assert.deepEqual(result, { registration: verified });
+  const [claimFilter] = update.mock.calls[0].arguments;
+  assert.deepEqual(claimFilter.paymentStatus, { $ne: "completed" });
+  const [, change] = update.mock.calls[1].arguments;
+  assert.equal(change.$set.paymentStatus, "completed");
+  assert.equal(change.$set.verifiedBy, "admin@example.com");
+  assert.equal(change.$set.ticketId, 4);
+});
+
+test("approvePayment doesn't verify a payment twice", async (t) => {
+  const update = t.mock.method(Registration, "findOneAndUpdate", async () => null);
+
+  const result = await approvePayment(null, pendingRegistration(), { verifiedBy: "admin@example.com" });
+
+  assert.deepEqual(result, { error: "Payment has already been verified" });
+  assert.equal(update.mock.callCount(), 1);
+});
+
+test("approvePayment gives the seat back and restores the payment when verifying fails", async (t) => {
+  const registration = pendingRegistration({ paymentStatus: "rejected", seatReleasedAt: new Date() });
+  t.mock.method(Registration, "findOneAndUpdate", async (filter) => {
+    if (filter.paymentStatus) return registration;
+    throw new Error("write failed");
+  });
+  const restore = t.mock.method(Registration, "updateOne", async () => ({}));
+  const seats = t.mock.method(Event, "findOneAndUpdate", async () => ({ _id: eventId }));
+
+  await assert.rejects(
+    approvePayment(null, registration, { verifiedBy: "admin@example.com" }),
+    /write failed/
+  );
+
+  const [, restored] = restore.mock.calls[0].arguments;
+  assert.equal(restored.$set.paymentStatus, "rejected");
+  assert.ok(restored.$set.seatReleasedAt);
+  assert.deepEqual(
+    seats.mock.calls.map((call) => call.arguments[1]),
+    [{ $inc: { registeredUsers: 1 } }, { $inc: { registeredUsers: -1 } }]
+  );
+});
+
+test("approvePayment won't take back a released seat once the event is full", async (t) => {
+  const registration = pendingRegistration({ paymentStatus: "rejected", seatReleasedAt: new Date() });
+  const update = t.mock.method(Registration, "findOneAndUpdate", async () => registration);
+  const restore = t.mock.method(Registration, "updateOne", async () => ({}));
+  t.mock.method(Event, "findOneAndUpdate", async () => null);
+
+  const result = await approvePayment(null, registration, { verifiedBy: "admin@example.com" });
+
+  assert.deepEqual(result, {
+    error: "Event is fully booked; this registration's seat was already released",
+  });
+  assert.equal(update.mock.callCount(), 1);
+  assert.equal(restore.mock.calls[0].arguments[1].$set.paymentStatus, "rejected");
+});
+
+test("approvePayment verifies none of a group when one attendee can't be verified", async (t) => {
+  const payer = pendingRegistration({ groupSize: 3 });
+  const members = [
+    pendingRegistration({ name: "Ben", groupPayerId: payer._id, ticketId: 0 }),
+    pendingRegistration({ name: "Cai", groupPayerId: payer._id, ticketId: 0 }),
+  ];
+  t.mock.method(Registration, "find", async () => members);
+  t.mock.method(Counter, "findByIdAndUpdate", async () => ({ seq: 9 }));
+  t.mock.method(Registration, "findOneAndUpdate", async (filter) => {
+    if (filter.paymentStatus) return payer;
+    if (filter._id === members[1]._id) throw new Error("write failed");
+    return { _id: filter._id };
+  });
+  const restore = t.mock.method(Registration, "updateOne", async () => ({}));
+
+  await assert.rejects(approvePayment(null, payer, { verifiedBy: "admin@example.com" }), /write failed/);
+
+  assert.deepEqual(
+    restore.mock.calls.map((call) => call.arguments[0]._id),
+    [payer._id, members[0]._id, members[1]._id]
+  );
+});
+
+test("rejectPayment rejects a pending payment", async (t) => {
+  const registration = pendingRegistration();
+  const rejected = pendingRegistration({ _id: registration._id, paymentStatus: "rejected" });
+  const update = t.mock.method(Registration, "findOneAndUpdate", async () => rejected);
+
+  const result = await rejectPayment(null, registration, {
+    rejectedBy: "admin@example.com",
+    reason: "Amount doesn't match",
+  });
+
+  assert.deepEqual(result, { registration: rejected });
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter.paymentStatus, { $nin: ["completed", "rejected"] });
+  assert.equal(change.$set.rejectionReason, "Amount doesn't match");
+});
+
+test("rejectPayment doesn't overwrite a payment reviewed in the meantime", async (t) => {
+  t.mock.method(Registration, "findOneAndUpdate", async () => null);
+
+  const result = await rejectPayment(null, pendingRegistration(), {
+    rejectedBy: "admin@example.com",
+    reason: "Blurry screenshot",
+  });
+
+  assert.deepEqual(result, { error: "Payment has already been reviewed" });
+});
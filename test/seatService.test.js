@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Event = require("../src/models/Event");
+const SeatHold = require("../src/models/SeatHold");
+const { reserveSeats, convertHold } = require("../src/services/seatService");
+
+const eventId = new mongoose.Types.ObjectId();
+const tierId = new mongoose.Types.ObjectId();
+
+test("reserveSeats takes the seats only while the event has room for them", async (t) => {
+  const updated = { _id: eventId, registeredUsers: 3 };
+  const update = t.mock.method(Event, "findOneAndUpdate", async () => updated);
+
+  assert.equal(await reserveSeats(eventId, 2), updated);
+
+  const [filter, change, options] = update.mock.calls[0].arguments;
+  assert.equal(filter._id, eventId);
+  assert.deepEqual(filter.$expr.$and[0], {
+    $lte: [
+      {
+        $add: [
+          { $add: [{ $ifNull: ["$registeredUsers", 0] }, { $ifNull: ["$heldSeats", 0] }] },
+          2,
+        ],
+      },
+      "$seatLimit",
+    ],
+  });
+  assert.deepEqual(change, { $inc: { registeredUsers: 2 } });
+  assert.deepEqual(options, { new: true });
+});
+
+test("reserveSeats also takes the seats from the ticket tier's quota", async (t) => {
+  const update = t.mock.method(Event, "findOneAndUpdate", async () => ({ _id: eventId }));
+
+  await reserveSeats(eventId, 1, tierId.toString());
+
+  const [filter, change, options] = update.mock.calls[0].arguments;
+  assert.equal(filter.$expr.$and.length, 2);
+  assert.deepEqual(change, {
+    $inc: { registeredUsers: 1, "ticketTiers.$[tier].registeredCount": 1 },
+  });
+  assert.deepEqual(options.arrayFilters, [{ "tier._id": tierId }]);
+});
+
+test("reserveSeats resolves to null when the event is fully booked", async (t) => {
+  t.mock.method(Event, "findOneAndUpdate", async () => null);
+  assert.equal(await reserveSeats(eventId, 1), null);
+});
+
+test("convertHold moves an active hold's seats from held to registered", async (t) => {
+  const claim = t.mock.method(SeatHold, "findOneAndUpdate", async () => ({
+    eventId,
+    seats: 3,
+    tierId,
+  }));
+  const update = t.mock.method(Event, "findOneAndUpdate", async () => ({ _id: eventId }));
+
+  await convertHold(eventId, "TXN1", tierId, 3);
+
+  assert.deepEqual(claim.mock.calls[0].arguments.slice(0, 2), [
+    { eventId, transactionRef: "TXN1", status: "active" },
+    { $set: { status: "converted" } },
+  ]);
+  const [filter, change] = update.mock.calls[0].arguments;
+  // The seats are already set aside, so no room check is needed
+  assert.deepEqual(filter, { _id: eventId });
+  assert.deepEqual(change, {
+    $inc: {
+      heldSeats: -3,
+      registeredUsers: 3,
+      "ticketTiers.$[tier].heldCount": -3,
+      "ticketTiers.$[tier].registeredCount": 3,
+    },
+  });
+});
+
+test("convertHold reserves fresh seats once the hold has lapsed", async (t) => {
+  t.mock.method(SeatHold, "findOneAndUpdate", async () => null);
+  const update = t.mock.method(Event, "findOneAndUpdate", async () => null);
+
+  assert.equal(await convertHold(eventId, "TXN2", undefined, 2), null);
+
+  const [filter, change] = update.mock.calls[0].arguments;
+  assert.ok(filter.$expr, "a lapsed hold's seats are only taken if there's room");
+  assert.deepEqual(change, { $inc: { registeredUsers: 2 } });
+});